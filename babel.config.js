@@ -1,9 +1,10 @@
-module.exports = {
+module.exports = api => ({
   presets: [
     ['@babel/preset-env', { targets: { node: 'current' } }],
     ['@babel/preset-react', { runtime: 'automatic' }]
   ],
-  plugins: [
+  // Jest runs the sources directly, without @babel/runtime installed
+  plugins: api.env('test') ? [] : [
     '@babel/plugin-transform-runtime'
   ]
-};
\ No newline at end of file
+});
@@ -0,0 +1,225 @@
+// src/babel/actions.js
+const { types: t, traverse } = require('@babel/core');
+const fs = require('fs');
+const nodePath = require('path');
+const { getResolvedImport } = require('./registry');
+
+/**
+ * Props that submit a form to an action
+ */
+const ACTION_PROPS = ['action', 'formAction'];
+
+/**
+ * Extensions tried when resolving a relative import to a file
+ */
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs'];
+
+/**
+ * Matches a 'use server' directive at the top of a module, after comments
+ */
+const USE_SERVER_PATTERN = /^(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*['"]use server['"]/;
+
+/**
+ * Resolve the function passed to a form's `action` or a button's
+ * `formAction` prop. Handles local functions, imports (named, default and
+ * namespace members) and `.bind(...)` calls on either.
+ *
+ * @param {Object} path - Babel path of the JSX element
+ * @param {string} propName - `action` or `formAction`
+ * @param {Object} state - Babel plugin state
+ * @returns {{name: string, module: string, server: boolean|null}|null} The
+ *   action, whether it is known to be a server action (null when its module
+ *   cannot be read), or null if the prop is not a function reference
+ */
+function resolveFormAction(path, propName, state) {
+  const attribute = path.get('openingElement.attributes').find(attr =>
+    attr.isJSXAttribute() && t.isJSXIdentifier(attr.node.name, { name: propName })
+  );
+  
+  if (!attribute || !t.isJSXExpressionContainer(attribute.node.value)) return null;
+  
+  const { expression, member } = getActionReference(attribute.node.value.expression);
+  
+  const filename = getModuleName(state.filename, state);
+  
+  // Inline functions only run on the server with their own directive
+  if (t.isFunction(expression)) {
+    return {
+      name: 'inline',
+      module: filename,
+      server: hasUseServerDirective(expression.body) || fileUsesServer(state)
+    };
+  }
+  
+  if (!t.isIdentifier(expression)) return null;
+  
+  const binding = path.scope.getBinding(expression.name);
+  if (!binding) return null;
+  
+  if (binding.kind === 'module') {
+    const specifier = binding.path.node;
+    const source = binding.path.parent.source.value;
+    const resolved = resolveImport(source, state.filename);
+    
+    let name;
+    if (t.isImportNamespaceSpecifier(specifier)) {
+      if (!member) return null;
+      name = member;
+    } else if (t.isImportDefaultSpecifier(specifier)) {
+      // Default exports are known by the name they are imported as
+      name = specifier.local.name;
+    } else {
+      name = t.isStringLiteral(specifier.imported) ? specifier.imported.value : specifier.imported.name;
+    }
+    
+    return {
+      name,
+      module: resolved ? getModuleName(resolved, state) : source,
+      server: resolved ? isServerModule(resolved) : null
+    };
+  }
+  
+  // A function declared in this file
+  const fn = getBoundFunction(binding);
+  if (!fn || member) return null;
+  
+  return {
+    name: expression.name,
+    module: filename,
+    server: hasUseServerDirective(fn.body) || fileUsesServer(state)
+  };
+}
+
+/**
+ * List the imports a file passes to `action` or `formAction` props, so the
+ * loader can resolve them before the plugin reads them
+ * @param {Object} ast - Babel AST of the file
+ * @returns {Array<string>} The import sources, as written
+ */
+function findActionImports(ast) {
+  const sources = new Set();
+  
+  traverse(ast, {
+    JSXAttribute(path) {
+      const { name, value } = path.node;
+      if (!t.isJSXIdentifier(name) || !ACTION_PROPS.includes(name.name)) return;
+      if (!t.isJSXExpressionContainer(value)) return;
+      
+      const { expression } = getActionReference(value.expression);
+      const binding = t.isIdentifier(expression) && path.scope.getBinding(expression.name);
+      
+      if (binding && binding.kind === 'module') {
+        sources.add(binding.path.parent.source.value);
+      }
+    }
+  });
+  
+  return Array.from(sources);
+}
+
+/**
+ * Get what an action prop refers to, seeing through `.bind(...)` calls and
+ * namespace members
+ * @returns {{expression: Object, member: string|null}} The function or
+ *   namespace, and the namespace member the action is
+ */
+function getActionReference(expression) {
+  // action={createPost.bind(null, id)}
+  if (
+    t.isCallExpression(expression) &&
+    t.isMemberExpression(expression.callee) &&
+    t.isIdentifier(expression.callee.property, { name: 'bind' })
+  ) {
+    expression = expression.callee.object;
+  }
+  
+  // action={actions.createPost} with import * as actions
+  if (t.isMemberExpression(expression) && t.isIdentifier(expression.object) && t.isIdentifier(expression.property)) {
+    return { expression: expression.object, member: expression.property.name };
+  }
+  
+  return { expression, member: null };
+}
+
+/**
+ * Get the function a local binding refers to
+ */
+function getBoundFunction(binding) {
+  if (binding.path.isFunctionDeclaration()) {
+    return binding.path.node;
+  }
+  
+  if (binding.path.isVariableDeclarator() && t.isFunction(binding.path.node.init)) {
+    return binding.path.node.init;
+  }
+  
+  return null;
+}
+
+/**
+ * Check a function body for a 'use server' directive
+ */
+function hasUseServerDirective(body) {
+  return t.isBlockStatement(body) &&
+    body.directives.some(directive => directive.value.value === 'use server');
+}
+
+/**
+ * Check whether the file being compiled starts with 'use server'
+ */
+function fileUsesServer(state) {
+  return state.file.ast.program.directives.some(directive => directive.value.value === 'use server');
+}
+
+/**
+ * Resolve an import to a file on disk. The loader resolves action imports
+ * with the bundler's resolver, which knows aliases such as `@/app/actions`;
+ * without it only relative imports are resolved.
+ */
+function resolveImport(source, filename) {
+  const resolved = getResolvedImport(filename, source);
+  if (resolved !== undefined) return resolved;
+  
+  if (!filename || !source.startsWith('.')) return null;
+  
+  const base = nodePath.resolve(nodePath.dirname(filename), source);
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(extension => base + extension),
+    ...SOURCE_EXTENSIONS.map(extension => nodePath.join(base, `index${extension}`))
+  ];
+  
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Check whether a module file starts with a 'use server' directive
+ */
+function isServerModule(filename) {
+  try {
+    return USE_SERVER_PATTERN.test(fs.readFileSync(filename, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a module's path relative to the project root, with forward slashes
+ */
+function getModuleName(filename, state) {
+  if (!filename) return 'unknown';
+  
+  const root = state.file.opts.root || state.cwd || process.cwd();
+  return nodePath.relative(root, filename).split(nodePath.sep).join('/');
+}
+
+module.exports = {
+  resolveFormAction,
+  findActionImports
+};
@@ -0,0 +1,88 @@
+// src/babel/attributes.js
+const { types: t } = require('@babel/core');
+
+/**
+ * Input types that are clicked rather than filled in, and therefore not form fields
+ */
+const BUTTON_INPUT_TYPES = ['submit', 'button', 'reset', 'image', 'hidden'];
+
+/**
+ * Find a JSX attribute by name
+ */
+function findAttribute(openingElement, name) {
+  return openingElement.attributes.find(attr =>
+    t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name, { name })
+  );
+}
+
+/**
+ * Check if an element has an attribute, whatever its value
+ */
+function hasAttribute(openingElement, name) {
+  return Boolean(findAttribute(openingElement, name));
+}
+
+/**
+ * Check whether an element spreads props, which may provide any attribute
+ */
+function hasSpread(openingElement) {
+  return openingElement.attributes.some(attr => t.isJSXSpreadAttribute(attr));
+}
+
+/**
+ * Check if an attribute is set to an expression rather than a literal
+ */
+function isDynamic(openingElement, name) {
+  const value = findAttribute(openingElement, name)?.value;
+  return t.isJSXExpressionContainer(value) && !t.isStringLiteral(value.expression);
+}
+
+/**
+ * Get the value of an attribute set to a string literal
+ */
+function getStaticValue(openingElement, name) {
+  const value = findAttribute(openingElement, name)?.value;
+  
+  if (t.isStringLiteral(value)) return value.value;
+  if (t.isJSXExpressionContainer(value) && t.isStringLiteral(value.expression)) {
+    return value.expression.value;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the value of an attribute set to a string or number literal
+ */
+function getStaticLiteralValue(openingElement, name) {
+  const value = findAttribute(openingElement, name)?.value;
+  const expression = t.isJSXExpressionContainer(value) ? value.expression : value;
+  
+  if (t.isStringLiteral(expression) || t.isNumericLiteral(expression)) {
+    return expression.value;
+  }
+  
+  return null;
+}
+
+/**
+ * Check for a boolean attribute that is set without a value or to `{true}`
+ */
+function isStaticallyTrue(openingElement, name) {
+  const attribute = findAttribute(openingElement, name);
+  if (!attribute) return false;
+  
+  return attribute.value === null ||
+    (t.isJSXExpressionContainer(attribute.value) && t.isBooleanLiteral(attribute.value.expression, { value: true }));
+}
+
+module.exports = {
+  BUTTON_INPUT_TYPES,
+  findAttribute,
+  hasAttribute,
+  hasSpread,
+  isDynamic,
+  getStaticValue,
+  getStaticLiteralValue,
+  isStaticallyTrue
+};
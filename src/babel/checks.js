@@ -0,0 +1,294 @@
+// src/babel/checks.js
+const { types: t } = require('@babel/core');
+const { getElementInfo } = require('./elements');
+const { inferDescription } = require('./descriptions');
+const { addDiagnostic } = require('./diagnostics');
+const {
+  BUTTON_INPUT_TYPES,
+  hasAttribute,
+  hasSpread,
+  isDynamic,
+  getStaticValue
+} = require('./attributes');
+
+/**
+ * Roles that make an element keyboard- and screen-reader-operable
+ */
+const WIDGET_ROLES = [
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'textbox', 'combobox',
+  'slider', 'spinbutton', 'searchbox', 'treeitem', 'gridcell', 'form'
+];
+
+/**
+ * Warn about elements that handle events without being operable by
+ * keyboard users, screen readers and agents: they need a widget role, a
+ * tabIndex and an accessible name
+ *
+ * @param {Object} path - Babel path of the JSX element
+ * @param {Object} state - Babel plugin state
+ * @param {string} elementName - Element name as written
+ * @param {Array<string>} handlers - The event handler props it has
+ */
+function checkHandlerAccessibility(path, state, elementName, handlers) {
+  const openingElement = path.node.openingElement;
+  
+  // Spread props may provide any of these
+  if (hasSpread(openingElement)) return;
+  
+  const missing = [];
+  
+  const staticRole = getStaticValue(openingElement, 'role');
+  if (!hasAttribute(openingElement, 'role') || (staticRole !== null && !WIDGET_ROLES.includes(staticRole))) {
+    missing.push('a role');
+  }
+  
+  if (!hasAttribute(openingElement, 'tabIndex')) {
+    missing.push('a tabIndex');
+  }
+  
+  if (!hasAccessibleName(path)) {
+    missing.push('an accessible name');
+  }
+  
+  if (missing.length === 0) return;
+  
+  addDiagnostic(state, openingElement, 'non-semantic-handler',
+    `<${elementName} ${handlers.join(' ')}> is missing ${formatList(missing)}, ` +
+    'so agents and screen readers cannot tell it is interactive. ' +
+    'Use a <button>, or add role, tabIndex and aria-label.'
+  );
+}
+
+/**
+ * Warn about buttons and links without an accessible name, such as
+ * icon-only buttons
+ */
+function checkAccessibleName(path, state, elementName, tagName) {
+  const openingElement = path.node.openingElement;
+  if (hasSpread(openingElement)) return;
+  
+  if (tagName === 'input') {
+    // Submit and reset buttons have a default label
+    const type = getStaticValue(openingElement, 'type');
+    if (type === 'button' && !hasAttribute(openingElement, 'value') && !hasAccessibleName(path)) {
+      reportUnnamed(openingElement, state, elementName);
+    }
+    return;
+  }
+  
+  if (!hasAccessibleName(path)) {
+    reportUnnamed(openingElement, state, elementName);
+  }
+}
+
+/**
+ * Report an element that has no accessible name
+ */
+function reportUnnamed(openingElement, state, elementName) {
+  addDiagnostic(state, openingElement, 'missing-accessible-name',
+    `<${elementName}> has no accessible name, so agents cannot tell what it does. ` +
+    'Add text content, aria-label or title.'
+  );
+}
+
+/**
+ * Warn about form fields that agents cannot identify: fields in a form
+ * need a name to be submitted and filled by name, and every field needs a label
+ *
+ * @param {Object} path - Babel path of the field's JSX element
+ * @param {Object} state - Babel plugin state
+ * @param {string} elementName - Element name as written
+ * @param {Object|null} scopePath - Path to search for labels
+ */
+function checkField(path, state, elementName, scopePath) {
+  const openingElement = path.node.openingElement;
+  if (hasSpread(openingElement)) return;
+  
+  const type = getStaticValue(openingElement, 'type');
+  if (getElementInfo(openingElement).tag === 'input' && BUTTON_INPUT_TYPES.includes(type)) return;
+  
+  const missing = [];
+  
+  const inForm = hasAttribute(openingElement, 'form') || Boolean(path.findParent(parent =>
+    parent.isJSXElement() && getElementInfo(parent.node.openingElement).tag === 'form'
+  ));
+  
+  if (inForm && !hasAttribute(openingElement, 'name')) {
+    missing.push('a name');
+  }
+  
+  const labelled = hasAttribute(openingElement, 'aria-label') ||
+    hasAttribute(openingElement, 'aria-labelledby') ||
+    hasAttribute(openingElement, 'title') ||
+    hasAttribute(openingElement, 'placeholder') ||
+    hasLabelElement(path, scopePath);
+  
+  if (!labelled) {
+    missing.push('a label');
+  }
+  
+  if (missing.length === 0) return;
+  
+  addDiagnostic(state, openingElement, 'unlabelled-field',
+    `<${elementName}${type ? ` type="${type}"` : ''}> is missing ${formatList(missing)}, ` +
+    'so agents cannot tell which value it expects. ' +
+    'Add a name and a <label htmlFor> or aria-label.'
+  );
+}
+
+/**
+ * Warn about forms without a way to submit them. Forms that render
+ * components or expressions are skipped, since those may contain the button.
+ */
+function checkFormSubmit(path, state) {
+  let hasSubmit = false;
+  let unknown = false;
+  
+  path.traverse({
+    JSXElement(childPath) {
+      const openingElement = childPath.node.openingElement;
+      const info = getElementInfo(openingElement);
+      const type = getStaticValue(openingElement, 'type');
+      
+      if (info.isComponent && !info.isFragment) {
+        unknown = true;
+      } else if (info.tag === 'button' && type !== 'button' && type !== 'reset') {
+        // Buttons submit by default, and a dynamic type may be submit
+        hasSubmit = true;
+      } else if (info.tag === 'input' && (['submit', 'image'].includes(type) || isDynamic(openingElement, 'type'))) {
+        hasSubmit = true;
+      } else if (hasAttribute(openingElement, 'formAction')) {
+        hasSubmit = true;
+      }
+    },
+    JSXExpressionContainer(childPath) {
+      // {children} or {renderActions()} in child position
+      const expression = childPath.node.expression;
+      if (
+        childPath.parentPath.isJSXElement() &&
+        (t.isIdentifier(expression) || t.isMemberExpression(expression) || t.isCallExpression(expression))
+      ) {
+        unknown = true;
+      }
+    }
+  });
+  
+  if (hasSubmit || unknown) return;
+  
+  addDiagnostic(state, path.node.openingElement, 'form-without-submit',
+    '<form> has no submit button, so agents cannot tell how to send it. ' +
+    'Add a <button type="submit">.'
+  );
+}
+
+/**
+ * Warn when a component reuses an explicit data-ai-target value, which makes
+ * the target ambiguous for agents
+ */
+function checkDuplicateTarget(path, state, componentName) {
+  const openingElement = path.node.openingElement;
+  const target = getStaticValue(openingElement, 'data-ai-target');
+  if (target === null) return;
+  
+  const key = `${componentName || ''}\0${target}`;
+  
+  if (state.aiExplicitTargets.has(key)) {
+    const first = state.aiExplicitTargets.get(key);
+    
+    addDiagnostic(state, openingElement, 'duplicate-target',
+      `data-ai-target="${target}" is already used${componentName ? ` in ${componentName}` : ''}` +
+      `${first ? ` on line ${first}` : ''}, so agents cannot tell the elements apart.`
+    );
+    return;
+  }
+  
+  state.aiExplicitTargets.set(key, openingElement.loc?.start.line ?? null);
+}
+
+/**
+ * Check whether a field is wrapped in a `<label>` or has one pointing at its
+ * id in the same component. Dynamic ids are assumed to be labelled.
+ */
+function hasLabelElement(path, scopePath) {
+  const isLabel = labelPath => labelPath.isJSXElement() &&
+    getElementInfo(labelPath.node.openingElement).tag === 'label';
+  
+  if (path.findParent(isLabel)) return true;
+  
+  const openingElement = path.node.openingElement;
+  if (isDynamic(openingElement, 'id')) return true;
+  
+  const id = getStaticValue(openingElement, 'id');
+  if (id === null || !scopePath) return false;
+  
+  let found = false;
+  scopePath.traverse({
+    JSXElement(labelPath) {
+      const label = labelPath.node.openingElement;
+      
+      if (isLabel(labelPath) && (
+        getStaticValue(label, 'htmlFor') === id ||
+        isDynamic(label, 'htmlFor')
+      )) {
+        found = true;
+      }
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Check whether an element has a name from ARIA, a title or its content.
+ * Content rendered by components or expressions is assumed to name it.
+ */
+function hasAccessibleName(path) {
+  const openingElement = path.node.openingElement;
+  
+  return hasAttribute(openingElement, 'aria-label') ||
+    hasAttribute(openingElement, 'aria-labelledby') ||
+    hasAttribute(openingElement, 'title') ||
+    inferDescription(path, null, null) !== null ||
+    hasUnknownContent(path.node.children);
+}
+
+/**
+ * Check whether JSX children contain expressions or components, whose
+ * rendered text cannot be known at build time
+ */
+function hasUnknownContent(children) {
+  return children.some(child => {
+    if (t.isJSXExpressionContainer(child)) {
+      return !t.isJSXEmptyExpression(child.expression) && !t.isStringLiteral(child.expression);
+    }
+    
+    if (t.isJSXElement(child)) {
+      const info = getElementInfo(child.openingElement);
+      return (info.isComponent && !info.isFragment) || hasUnknownContent(child.children);
+    }
+    
+    if (t.isJSXFragment(child)) {
+      return hasUnknownContent(child.children);
+    }
+    
+    return false;
+  });
+}
+
+/**
+ * Join items as "a, b and c"
+ */
+function formatList(items) {
+  return items.length > 1
+    ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+    : items[0];
+}
+
+module.exports = {
+  checkHandlerAccessibility,
+  checkAccessibleName,
+  checkField,
+  checkFormSubmit,
+  checkDuplicateTarget
+};
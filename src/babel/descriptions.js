@@ -0,0 +1,159 @@
+// src/babel/descriptions.js
+const { types: t } = require('@babel/core');
+const { getStaticValue } = require('./attributes');
+
+/**
+ * Longest description we emit; longer text is cut at a word boundary
+ */
+const MAX_DESCRIPTION_LENGTH = 100;
+
+/**
+ * Elements whose own content names them. Forms, fields and selects contain
+ * text that describes something else, such as their options.
+ */
+const CONTENT_NAMED_TAGS = ['button', 'a', 'summary', 'option', 'menuitem', 'details'];
+
+/**
+ * Infer a description for an element from what a user would read for it,
+ * roughly following how browsers compute accessible names:
+ *
+ * 1. `aria-label`
+ * 2. A `<label htmlFor>` pointing at the element's id, or a `<label>` wrapping it
+ * 3. Static text of its children, including the `alt` of images inside it,
+ *    for buttons, links and components
+ * 4. `title`, `placeholder`, then its own `alt`
+ *
+ * Only static values count, so nothing is inferred from expressions.
+ *
+ * @param {Object} path - Babel path of the JSX element
+ * @param {string|null} tagName - The DOM tag, or null for components
+ * @param {Object|null} scopePath - Path to search for labels (the enclosing component)
+ * @returns {string|null} The description, or null if none can be inferred
+ */
+function inferDescription(path, tagName, scopePath) {
+  const openingElement = path.node.openingElement;
+  
+  const candidates = [
+    () => getStaticValue(openingElement, 'aria-label'),
+    () => findLabelFor(openingElement, scopePath),
+    () => findWrappingLabel(path),
+    () => (!tagName || CONTENT_NAMED_TAGS.includes(tagName) ? getStaticText(path.node.children) : null),
+    () => getStaticValue(openingElement, 'title'),
+    () => getStaticValue(openingElement, 'placeholder'),
+    () => getStaticValue(openingElement, 'alt')
+  ];
+  
+  for (const candidate of candidates) {
+    const description = normalizeText(candidate());
+    if (description) return description;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the text labelling a form field: its `aria-label`, a `<label htmlFor>`
+ * pointing at its id or a `<label>` wrapping it
+ *
+ * @param {Object} path - Babel path of the field's JSX element
+ * @param {Object|null} scopePath - Path to search for labels
+ * @returns {string|null} The label text
+ */
+function findFieldLabel(path, scopePath) {
+  const openingElement = path.node.openingElement;
+  
+  return normalizeText(getStaticValue(openingElement, 'aria-label')) ||
+    normalizeText(findLabelFor(openingElement, scopePath)) ||
+    normalizeText(findWrappingLabel(path));
+}
+
+/**
+ * Find the text of a `<label htmlFor="id">` for the element's static id
+ */
+function findLabelFor(openingElement, scopePath) {
+  const id = getStaticValue(openingElement, 'id');
+  if (!id || !scopePath) return null;
+  
+  let text = null;
+  
+  scopePath.traverse({
+    JSXElement(labelPath) {
+      const label = labelPath.node.openingElement;
+      
+      if (
+        !text &&
+        t.isJSXIdentifier(label.name, { name: 'label' }) &&
+        (getStaticValue(label, 'htmlFor') || getStaticValue(label, 'for')) === id
+      ) {
+        text = getStaticText(labelPath.node.children);
+      }
+    }
+  });
+  
+  return text;
+}
+
+/**
+ * Find the text of a `<label>` wrapping the element, without the element's own text
+ */
+function findWrappingLabel(path) {
+  const labelPath = path.findParent(parent =>
+    parent.isJSXElement() && t.isJSXIdentifier(parent.node.openingElement.name, { name: 'label' })
+  );
+  
+  return labelPath ? getStaticText(labelPath.node.children, path.node) : null;
+}
+
+/**
+ * Join the static text of JSX children, descending into nested elements
+ * and using the `alt` text of images
+ */
+function getStaticText(children, excluded = null) {
+  const parts = [];
+  
+  children.forEach(child => {
+    if (child === excluded) return;
+    
+    if (t.isJSXText(child)) {
+      parts.push(child.value);
+    } else if (t.isJSXExpressionContainer(child) && t.isStringLiteral(child.expression)) {
+      parts.push(child.expression.value);
+    } else if (t.isJSXElement(child)) {
+      const name = child.openingElement.name;
+      
+      if (t.isJSXIdentifier(name) && ['img', 'Image'].includes(name.name)) {
+        parts.push(getStaticValue(child.openingElement, 'alt') || '');
+      } else {
+        parts.push(getStaticText(child.children, excluded));
+      }
+    } else if (t.isJSXFragment(child)) {
+      parts.push(getStaticText(child.children, excluded));
+    }
+  });
+  
+  return parts.join(' ');
+}
+
+/**
+ * Collapse whitespace and cap the length of a description
+ */
+function normalizeText(text) {
+  if (!text) return null;
+  
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= MAX_DESCRIPTION_LENGTH) {
+    return normalized || null;
+  }
+  
+  const cut = normalized.slice(0, MAX_DESCRIPTION_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+module.exports = {
+  inferDescription,
+  findFieldLabel,
+  getStaticText,
+  normalizeText
+};
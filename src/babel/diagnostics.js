@@ -0,0 +1,41 @@
+// src/babel/diagnostics.js
+
+/**
+ * Record a build diagnostic for a node in the file being compiled
+ * @param {Object} state - Babel plugin state
+ * @param {Object} node - Node the diagnostic points at
+ * @param {string} code - Stable identifier of the check
+ * @param {string} message - What is wrong and how to fix it
+ */
+function addDiagnostic(state, node, code, message) {
+  if (!state.file.metadata.aiDiagnostics) {
+    state.file.metadata.aiDiagnostics = [];
+  }
+  
+  state.file.metadata.aiDiagnostics.push({
+    code,
+    message,
+    line: node.loc?.start.line ?? null,
+    // Babel columns are 0-based, editors count from 1
+    column: node.loc ? node.loc.start.column + 1 : null
+  });
+}
+
+/**
+ * Format a diagnostic as `file:line:column message (code)`
+ * @param {string} filename - File path relative to the project root
+ * @param {Object} diagnostic - Diagnostic from addDiagnostic
+ * @returns {string} The formatted message
+ */
+function formatDiagnostic(filename, diagnostic) {
+  const location = diagnostic.line
+    ? `${filename}:${diagnostic.line}:${diagnostic.column}`
+    : filename;
+  
+  return `[AI Optimizer] ${location} ${diagnostic.message} (${diagnostic.code})`;
+}
+
+module.exports = {
+  addDiagnostic,
+  formatDiagnostic
+};
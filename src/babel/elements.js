@@ -0,0 +1,225 @@
+// src/babel/elements.js
+const { types: t } = require('@babel/core');
+
+/**
+ * Describe the name of a JSX element
+ *
+ * - `<button>` and `<my-element>` are DOM elements
+ * - `<svg:rect>` is a namespaced DOM element
+ * - `<motion.button>` / `<styled.a>` are proxies that render the DOM element
+ *   named by their last segment, so they are treated like that element
+ * - `<Button>` / `<Foo.Bar>` are components
+ *
+ * @param {Object} openingElement - JSX opening element node
+ * @returns {{name: string, tag: string|null, isComponent: boolean, isFragment: boolean}}
+ *   Display name, the DOM tag that decides its semantics, and its kind
+ */
+function getElementInfo(openingElement) {
+  const nameNode = openingElement.name;
+  
+  if (t.isJSXNamespacedName(nameNode)) {
+    return {
+      name: `${nameNode.namespace.name}:${nameNode.name.name}`,
+      tag: nameNode.name.name,
+      isComponent: false,
+      isFragment: false
+    };
+  }
+  
+  if (t.isJSXMemberExpression(nameNode)) {
+    const name = getMemberExpressionName(nameNode);
+    const property = nameNode.property.name;
+    const isComponent = /^[A-Z]/.test(property);
+    
+    return {
+      name,
+      tag: isComponent ? null : property,
+      isComponent,
+      isFragment: property === 'Fragment'
+    };
+  }
+  
+  const name = nameNode.name;
+  const isComponent = /^[A-Z]/.test(name) && !name.includes('-');
+  
+  return {
+    name,
+    tag: isComponent ? null : name,
+    isComponent,
+    isFragment: name === 'Fragment'
+  };
+}
+
+/**
+ * Flatten a JSX member expression such as `UI.Form.Field` into a string
+ */
+function getMemberExpressionName(node) {
+  if (t.isJSXMemberExpression(node)) {
+    return `${getMemberExpressionName(node.object)}.${node.property.name}`;
+  }
+  
+  return node.name;
+}
+
+/**
+ * Find the components in a file that spread their props onto the JSX they
+ * render, and therefore pass data attributes through to the DOM
+ * @param {Object} program - The file's Program node
+ * @returns {Set<string>} Names of forwarding components
+ */
+function collectForwardingComponents(program) {
+  const forwarding = new Set();
+  
+  const check = (name, fn) => {
+    if (name && t.isFunction(fn) && spreadsProps(fn)) {
+      forwarding.add(name);
+    }
+  };
+  
+  program.body.forEach(statement => {
+    const declaration = t.isExportNamedDeclaration(statement) || t.isExportDefaultDeclaration(statement)
+      ? statement.declaration
+      : statement;
+    
+    if (t.isFunctionDeclaration(declaration)) {
+      check(declaration.id?.name, declaration);
+    } else if (t.isVariableDeclaration(declaration)) {
+      declaration.declarations.forEach(declarator => {
+        if (t.isIdentifier(declarator.id)) {
+          check(declarator.id.name, unwrapComponentWrappers(declarator.init));
+        }
+      });
+    }
+  });
+  
+  return forwarding;
+}
+
+/**
+ * Get the function inside memo(...) / forwardRef(...) wrappers
+ */
+function unwrapComponentWrappers(node) {
+  let current = node;
+  
+  while (t.isCallExpression(current) && current.arguments.length > 0) {
+    current = current.arguments[0];
+  }
+  
+  return current;
+}
+
+/**
+ * Check whether a function component spreads its props (or the rest of its
+ * destructured props) onto any JSX element it renders
+ */
+function spreadsProps(fn) {
+  const param = fn.params[0];
+  let spreadName = null;
+  
+  if (t.isIdentifier(param)) {
+    spreadName = param.name;
+  } else if (t.isObjectPattern(param)) {
+    const rest = param.properties.find(prop => t.isRestElement(prop));
+    spreadName = rest && t.isIdentifier(rest.argument) ? rest.argument.name : null;
+  }
+  
+  if (!spreadName) return false;
+  
+  let spreads = false;
+  t.traverseFast(fn.body, node => {
+    if (t.isJSXSpreadAttribute(node) && t.isIdentifier(node.argument, { name: spreadName })) {
+      spreads = true;
+    }
+  });
+  
+  return spreads;
+}
+
+/**
+ * Look up the design-system semantics of a component through the import it
+ * is bound to, so `import { Button as PrimaryButton } from '@acme/ui'` maps
+ * `<PrimaryButton>` and a local `Button` component does not
+ *
+ * @param {Object} path - Babel path of the JSX element
+ * @param {Object} componentMappings - Semantics by import source and export name
+ * @returns {Object|null} The mapped semantics
+ */
+function resolveComponentMapping(path, componentMappings) {
+  const nameNode = path.node.openingElement.name;
+  
+  // <UI.Button> resolves the binding of UI, then looks up Button
+  let rootNode = nameNode;
+  const members = [];
+  while (t.isJSXMemberExpression(rootNode)) {
+    members.unshift(rootNode.property.name);
+    rootNode = rootNode.object;
+  }
+  
+  if (!t.isJSXIdentifier(rootNode)) return null;
+  
+  const binding = path.scope.getBinding(rootNode.name);
+  if (!binding || binding.kind !== 'module') return null;
+  
+  const specifier = binding.path.node;
+  const source = binding.path.parent.source.value;
+  const sourceMappings = componentMappings[source];
+  if (!sourceMappings) return null;
+  
+  let exportName;
+  if (t.isImportNamespaceSpecifier(specifier)) {
+    exportName = members.shift();
+  } else if (t.isImportDefaultSpecifier(specifier)) {
+    exportName = 'default';
+  } else {
+    exportName = t.isStringLiteral(specifier.imported) ? specifier.imported.value : specifier.imported.name;
+  }
+  
+  // Remaining members address sub-components, e.g. Select.Option
+  const mappedName = [exportName, ...members].join('.');
+  
+  return Object.prototype.hasOwnProperty.call(sourceMappings, mappedName)
+    ? sourceMappings[mappedName]
+    : null;
+}
+
+/**
+ * Validate the componentMappings option, which maps import sources to the
+ * semantics of the components they export:
+ * { '@acme/ui': { Button: { action: 'click' }, TextField: { action: 'input', inputTypeProp: 'type' } } }
+ */
+function validateComponentMappings(componentMappings) {
+  const fail = (message) => {
+    throw new Error(`[AI Optimizer] Invalid componentMappings: ${message}`);
+  };
+  
+  if (!componentMappings || typeof componentMappings !== 'object' || Array.isArray(componentMappings)) {
+    fail('expected an object keyed by import source');
+  }
+  
+  Object.entries(componentMappings).forEach(([source, components]) => {
+    if (!components || typeof components !== 'object' || Array.isArray(components)) {
+      fail(`"${source}" must map component names to their semantics`);
+    }
+    
+    Object.entries(components).forEach(([name, semantics]) => {
+      if (!semantics || typeof semantics.action !== 'string') {
+        fail(`"${source}" component "${name}" needs an "action" string`);
+      }
+      
+      ['inputType', 'inputTypeProp', 'hrefProp', 'description'].forEach(key => {
+        if (semantics[key] !== undefined && typeof semantics[key] !== 'string') {
+          fail(`"${source}" component "${name}" option "${key}" must be a string`);
+        }
+      });
+    });
+  });
+  
+  return componentMappings;
+}
+
+module.exports = {
+  getElementInfo,
+  collectForwardingComponents,
+  resolveComponentMapping,
+  validateComponentMappings
+};
@@ -0,0 +1,144 @@
+// src/babel/filters.js
+const { types: t } = require('@babel/core');
+
+/**
+ * Comments that opt source out of the optimization
+ */
+const DISABLE_DIRECTIVES = {
+  file: 'ai-optimizer-disable',
+  line: 'ai-optimizer-disable-line',
+  nextLine: 'ai-optimizer-disable-next-line'
+};
+
+/**
+ * Compile a list of glob patterns
+ * @param {Array<string>|undefined} patterns - Globs relative to the project root
+ * @param {string} optionName - Option name used in error messages
+ * @returns {Array<RegExp>} Compiled patterns
+ */
+function compileGlobs(patterns, optionName) {
+  if (patterns === undefined) return [];
+  
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`[AI Optimizer] ${optionName} must be an array of glob patterns`);
+  }
+  
+  return patterns.map(globToRegExp);
+}
+
+/**
+ * Convert a glob to a regular expression. Supports `*` (within a path
+ * segment), `**` (across segments), `?` and `{a,b}` alternatives.
+ */
+function globToRegExp(pattern) {
+  const glob = pattern.replace(/^(\.\/)+/, '');
+  let source = '';
+  
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    
+    if (char === '*' && glob[index + 1] === '*') {
+      // `**/` matches any number of directories, including none
+      if (glob[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', index) > index) {
+      const end = glob.indexOf('}', index);
+      source += `(?:${glob.slice(index + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape characters with a special meaning in regular expressions
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decide whether the include/exclude globs skip a file
+ * @param {string} filename - File path relative to the project root
+ * @param {{include: Array<RegExp>, exclude: Array<RegExp>}} globs - Compiled globs
+ * @returns {boolean} True if the file should be left untouched
+ */
+function isFileExcluded(filename, { include, exclude }) {
+  if (include.length > 0 && !include.some(pattern => pattern.test(filename))) {
+    return true;
+  }
+  
+  return exclude.some(pattern => pattern.test(filename));
+}
+
+/**
+ * Read the ai-optimizer-disable directives from a file's comments
+ * @param {Array<Object>} comments - All comments in the file
+ * @returns {{file: boolean, lines: Set<number>}} Whether the whole file is
+ *   disabled, and the lines whose elements are skipped
+ */
+function getDisableDirectives(comments) {
+  const directives = { file: false, lines: new Set() };
+  
+  (comments || []).forEach(comment => {
+    const text = comment.value.trim();
+    
+    if (text === DISABLE_DIRECTIVES.file) {
+      directives.file = true;
+    } else if (text === DISABLE_DIRECTIVES.line) {
+      directives.lines.add(comment.loc.start.line);
+    } else if (text === DISABLE_DIRECTIVES.nextLine) {
+      directives.lines.add(comment.loc.end.line + 1);
+    }
+  });
+  
+  return directives;
+}
+
+/**
+ * Check if an element opts out with `data-ai-ignore` (anything but `{false}`)
+ */
+function hasIgnoreAttribute(openingElement) {
+  const attribute = openingElement.attributes.find(attr =>
+    t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name, { name: 'data-ai-ignore' })
+  );
+  
+  if (!attribute) return false;
+  
+  return !(
+    t.isJSXExpressionContainer(attribute.value) &&
+    t.isBooleanLiteral(attribute.value.expression, { value: false })
+  );
+}
+
+/**
+ * Check an element name against the includeElements/excludeElements options
+ * @param {string} name - Element name as written, e.g. `button` or `UI.Button`
+ * @param {{include: Array<string>|null, exclude: Array<string>}} elements - Element lists
+ * @returns {boolean} True if the element may be enriched
+ */
+function isElementAllowed(name, { include, exclude }) {
+  if (include && !include.includes(name)) return false;
+  
+  return !exclude.includes(name);
+}
+
+module.exports = {
+  compileGlobs,
+  isFileExcluded,
+  getDisableDirectives,
+  hasIgnoreAttribute,
+  isElementAllowed
+};
@@ -0,0 +1,155 @@
+// src/babel/forms.js
+const { types: t } = require('@babel/core');
+const { getElementInfo } = require('./elements');
+const { findFieldLabel, getStaticText, normalizeText } = require('./descriptions');
+const { hasIgnoreAttribute } = require('./filters');
+const { BUTTON_INPUT_TYPES, getStaticLiteralValue, isStaticallyTrue } = require('./attributes');
+
+/**
+ * Constraint attributes copied into the schema as written
+ */
+const CONSTRAINT_ATTRIBUTES = ['min', 'max', 'step', 'minLength', 'maxLength', 'pattern'];
+
+/**
+ * Collect the fields a form contains from its JSX, as far as they can be
+ * seen statically. Radio buttons sharing a name are merged into one field
+ * whose options are their values.
+ *
+ * @param {Object} path - Babel path of the form's JSX element
+ * @param {Object|null} scopePath - Path to search for labels (the enclosing component)
+ * @returns {{fields: Array<Object>}} The form schema
+ */
+function extractFormSchema(path, scopePath) {
+  const fields = [];
+  const radioGroups = new Map();
+  
+  path.traverse({
+    JSXElement(fieldPath) {
+      const tag = getElementInfo(fieldPath.node.openingElement).tag;
+      if (!['input', 'select', 'textarea'].includes(tag)) return;
+      if (isInsideIgnoredElement(fieldPath, path)) return;
+      
+      const field = describeField(fieldPath, tag, scopePath);
+      if (!field) return;
+      
+      if (field.type !== 'radio' || !field.name) {
+        fields.push(field);
+        return;
+      }
+      
+      // One field per radio group, listing the choices
+      const option = { value: field.value ?? null, label: field.label ?? null };
+      const group = radioGroups.get(field.name);
+      
+      if (group) {
+        group.options.push(option);
+        group.required = group.required || field.required;
+      } else {
+        const { value, label, ...rest } = field;
+        const radioGroup = { ...rest, options: [option] };
+        
+        radioGroups.set(field.name, radioGroup);
+        fields.push(radioGroup);
+      }
+    }
+  });
+  
+  return { fields };
+}
+
+/**
+ * Describe a single input, select or textarea
+ */
+function describeField(fieldPath, tag, scopePath) {
+  const openingElement = fieldPath.node.openingElement;
+  const type = tag === 'input'
+    ? (getStaticLiteralValue(openingElement, 'type') || 'text').toLowerCase()
+    : tag;
+  
+  if (BUTTON_INPUT_TYPES.includes(type)) return null;
+  
+  const field = {
+    name: getStaticLiteralValue(openingElement, 'name'),
+    type,
+    required: isStaticallyTrue(openingElement, 'required')
+  };
+  
+  CONSTRAINT_ATTRIBUTES.forEach(attribute => {
+    const value = getStaticLiteralValue(openingElement, attribute);
+    if (value === null) return;
+    
+    // min="1" and min={1} mean the same; dates and patterns stay strings
+    const isNumeric = attribute !== 'pattern' && typeof value === 'string' &&
+      value.trim() !== '' && !Number.isNaN(Number(value));
+    
+    field[attribute] = isNumeric ? Number(value) : value;
+  });
+  
+  if (type === 'radio' || type === 'checkbox') {
+    const value = getStaticLiteralValue(openingElement, 'value');
+    if (value !== null) field.value = value;
+  }
+  
+  if (tag === 'select') {
+    field.multiple = isStaticallyTrue(openingElement, 'multiple');
+    
+    const options = getSelectOptions(fieldPath.node);
+    if (options && options.length > 0) field.options = options;
+  }
+  
+  const label = findFieldLabel(fieldPath, scopePath);
+  if (label) field.label = label;
+  
+  return field;
+}
+
+/**
+ * List the `<option>` elements of a select, including those in `<optgroup>`s
+ * @returns {Array<Object>|null} The options, or null when some are rendered
+ *   from expressions and the list would be incomplete
+ */
+function getSelectOptions(selectNode) {
+  const options = [];
+  let dynamic = false;
+  
+  const visit = children => children.forEach(child => {
+    if (t.isJSXExpressionContainer(child)) {
+      // Options rendered with .map() or conditions
+      dynamic = dynamic || !t.isJSXEmptyExpression(child.expression);
+    } else if (t.isJSXFragment(child)) {
+      visit(child.children);
+    } else if (t.isJSXElement(child) && t.isJSXIdentifier(child.openingElement.name, { name: 'option' })) {
+      const label = normalizeText(getStaticText(child.children));
+      const value = getStaticLiteralValue(child.openingElement, 'value') ?? label;
+      
+      if (value === null) {
+        dynamic = true;
+      } else {
+        options.push({ value: String(value), label });
+      }
+    } else if (t.isJSXElement(child)) {
+      visit(child.children);
+    }
+  });
+  
+  visit(selectNode.children);
+  
+  return dynamic ? null : options;
+}
+
+/**
+ * Check whether a field sits inside a data-ai-ignore element within the form
+ */
+function isInsideIgnoredElement(fieldPath, formPath) {
+  for (let current = fieldPath; current && current.node !== formPath.node; current = current.parentPath) {
+    if (current.isJSXElement() && hasIgnoreAttribute(current.node.openingElement)) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  extractFormSchema
+};
@@ -0,0 +1,234 @@
+// src/babel/jsdoc.js
+const { types: t } = require('@babel/core');
+
+/**
+ * Parse the value of a JSDoc block comment into its description and tags
+ * @param {string} value - Comment value without the surrounding slash-star markers
+ * @returns {{description: string, tags: Array<Object>}} Parsed comment
+ */
+function parseJSDoc(value) {
+  const lines = value
+    .split('\n')
+    .map(line => line.replace(/^\s*\*?\s?/, '').trimEnd());
+  
+  const descriptionLines = [];
+  const tags = [];
+  
+  lines.forEach(line => {
+    const tagMatch = line.match(/^@([\w-]+)\s*(.*)$/);
+    
+    if (tagMatch) {
+      tags.push({ tag: tagMatch[1], text: tagMatch[2].trim() });
+    } else if (tags.length > 0) {
+      // Continuation of the previous tag's text
+      const last = tags[tags.length - 1];
+      last.text = `${last.text} ${line.trim()}`.trim();
+    } else {
+      descriptionLines.push(line.trim());
+    }
+  });
+  
+  return {
+    description: descriptionLines.filter(Boolean).join(' '),
+    tags
+  };
+}
+
+/**
+ * Parse a `@param {type} [name=default] - description` tag
+ * @param {string} text - Tag text after `@param`
+ * @returns {Object|null} Param name, type, optional flag and description
+ */
+function parseParamTag(text) {
+  const match = text.match(/^(?:\{([^}]*)\}\s*)?(\[[^\]]+\]|\S+)\s*(?:-\s*)?(.*)$/);
+  if (!match) return null;
+  
+  const [, type, rawName, description] = match;
+  const optional = rawName.startsWith('[');
+  const name = rawName.replace(/^\[|\]$/g, '').split('=')[0];
+  
+  return {
+    name,
+    type: type ? type.trim() : null,
+    optional,
+    description: description.trim()
+  };
+}
+
+/**
+ * Turn the tags of a JSDoc comment into AI metadata
+ * @param {{description: string, tags: Array<Object>}} doc - Parsed comment
+ * @returns {Object} Description, intent, action, ignore flag and prop docs
+ */
+function getAIDocs(doc) {
+  const docs = {
+    description: doc.description || null,
+    intent: null,
+    action: null,
+    ignore: false,
+    params: {}
+  };
+  
+  const paramTags = [];
+  
+  doc.tags.forEach(({ tag, text }) => {
+    switch (tag) {
+      case 'ai-description':
+        docs.description = text || docs.description;
+        break;
+      case 'ai-intent':
+        docs.intent = text || null;
+        break;
+      case 'ai-action':
+        docs.action = text || null;
+        break;
+      case 'ai-ignore':
+        docs.ignore = true;
+        break;
+      case 'param': {
+        const param = parseParamTag(text);
+        if (param) paramTags.push(param);
+        break;
+      }
+    }
+  });
+  
+  // `@param {Object} props` documents the props object itself, while
+  // `@param {string} props.label` and `@param label` document single props
+  const objectParams = new Set(['props']);
+  paramTags.forEach(param => {
+    if (param.name.includes('.')) objectParams.add(param.name.split('.')[0]);
+  });
+  
+  paramTags.forEach(param => {
+    if (objectParams.has(param.name)) return;
+    
+    const name = param.name.includes('.') ? param.name.split('.').slice(1).join('.') : param.name;
+    docs.params[name] = { ...param, name };
+  });
+  
+  return docs;
+}
+
+/**
+ * Get the closest JSDoc block comment from a list of comments
+ */
+function findJSDoc(comments) {
+  const jsdoc = (comments || [])
+    .filter(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'))
+    .pop();
+  
+  return jsdoc ? parseJSDoc(jsdoc.value.slice(1)) : null;
+}
+
+/**
+ * Read the JSDoc of a component, which may sit on the function itself, its
+ * variable declaration or the export wrapping either of them
+ * @param {Object} path - Babel path of the component
+ * @returns {Object} AI metadata from the comment (empty when undocumented)
+ */
+function getComponentDocs(path) {
+  let current = path;
+  
+  while (current) {
+    const doc = findJSDoc(current.node.leadingComments);
+    if (doc) return getAIDocs(doc);
+    
+    const parent = current.parentPath;
+    if (
+      !parent ||
+      !(
+        parent.isVariableDeclarator() ||
+        parent.isVariableDeclaration() ||
+        parent.isExportNamedDeclaration() ||
+        parent.isExportDefaultDeclaration() ||
+        // memo(...) / forwardRef(...) wrappers
+        parent.isCallExpression()
+      )
+    ) {
+      break;
+    }
+    
+    current = parent;
+  }
+  
+  return getAIDocs({ description: '', tags: [] });
+}
+
+/**
+ * Read the JSDoc attached to a JSX element, either as a leading comment or
+ * as a `{/** ... *\/}` expression directly before it
+ * @param {Object} path - Babel path of the JSX element
+ * @returns {Object|null} AI metadata from the comment
+ */
+function getElementDocs(path) {
+  const leading = findJSDoc(path.node.leadingComments);
+  if (leading) return getAIDocs(leading);
+  
+  const siblings = path.parent.children;
+  if (!Array.isArray(siblings)) return null;
+  
+  for (let index = siblings.indexOf(path.node) - 1; index >= 0; index--) {
+    const sibling = siblings[index];
+    
+    // Skip the whitespace between the comment and the element
+    if (t.isJSXText(sibling) && !sibling.value.trim()) continue;
+    
+    if (t.isJSXExpressionContainer(sibling) && t.isJSXEmptyExpression(sibling.expression)) {
+      const doc = findJSDoc(sibling.expression.innerComments);
+      return doc ? getAIDocs(doc) : null;
+    }
+    
+    break;
+  }
+  
+  return null;
+}
+
+/**
+ * Merge `@param` documentation into extracted props
+ * @param {Array<Object>} props - Props from extractPropTypes
+ * @param {Object} params - Prop docs by name
+ * @returns {Array<Object>} Props with descriptions
+ */
+function applyParamDocs(props, params) {
+  const result = props.map(prop => {
+    const param = params[prop.name];
+    if (!param) return prop;
+    
+    // Without a type annotation the docs also decide whether it is required
+    if (!prop.type) {
+      return {
+        ...prop,
+        type: param.type,
+        required: !param.optional && !('defaultValue' in prop),
+        description: param.description || undefined
+      };
+    }
+    
+    return {
+      ...prop,
+      description: param.description || undefined
+    };
+  });
+  
+  // Props only mentioned in the docs
+  Object.values(params).forEach(param => {
+    if (!result.some(prop => prop.name === param.name)) {
+      result.push({
+        name: param.name,
+        type: param.type,
+        required: !param.optional,
+        description: param.description || undefined
+      });
+    }
+  });
+  
+  return result;
+}
+
+module.exports = {
+  getComponentDocs,
+  getElementDocs,
+  applyParamDocs
+};
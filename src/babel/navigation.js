@@ -0,0 +1,197 @@
+// src/babel/navigation.js
+const { types: t } = require('@babel/core');
+
+/**
+ * Modules whose useRouter()/default export can navigate between routes
+ */
+const ROUTER_SOURCES = ['next/router', 'next/navigation'];
+
+/**
+ * hrefs that do not lead to another page: in-page anchors, mail and phone links
+ */
+const NON_ROUTE_HREF = /^(?:#|mailto:|tel:)/i;
+
+/**
+ * Resolve the route an href expression points to. Static strings are kept
+ * as-is; interpolated and concatenated values become dynamic segments, so
+ * `/blog/${post.slug}` and `'/blog/' + post.slug` resolve to `/blog/[slug]`.
+ *
+ * @param {Object} node - The href attribute value or call argument
+ * @returns {string|null} The route, or null when it cannot be resolved statically
+ */
+function resolveHref(node) {
+  if (t.isJSXExpressionContainer(node)) {
+    return resolveHref(node.expression);
+  }
+  
+  if (t.isStringLiteral(node)) {
+    return node.value;
+  }
+  
+  if (t.isTemplateLiteral(node)) {
+    return node.quasis
+      .map((quasi, index) => {
+        const expression = node.expressions[index];
+        return quasi.value.cooked + (expression ? `[${getSegmentName(expression)}]` : '');
+      })
+      .join('');
+  }
+  
+  // Only concatenations that include a string build an href
+  if (t.isBinaryExpression(node, { operator: '+' })) {
+    const operands = getConcatenatedOperands(node);
+    
+    if (!operands.some(operand => t.isStringLiteral(operand) || t.isTemplateLiteral(operand))) {
+      return null;
+    }
+    
+    return operands
+      .map(operand => t.isStringLiteral(operand) || t.isTemplateLiteral(operand)
+        ? resolveHref(operand)
+        : `[${getSegmentName(operand)}]`)
+      .join('');
+  }
+  
+  // <Link href={{ pathname: '/blog/[slug]', query: { slug } }}>
+  if (t.isObjectExpression(node)) {
+    const pathname = node.properties.find(prop =>
+      t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'pathname' })
+    );
+    
+    return pathname ? resolveHref(pathname.value) : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Flatten `a + b + c` into its operands, left to right
+ */
+function getConcatenatedOperands(node) {
+  if (t.isBinaryExpression(node, { operator: '+' })) {
+    return [...getConcatenatedOperands(node.left), ...getConcatenatedOperands(node.right)];
+  }
+  
+  return [node];
+}
+
+/**
+ * Check whether a resolved href leads to another page, rather than to a
+ * place in the current one, an email or a phone call
+ * @param {string} href - The resolved href
+ * @returns {boolean} True for routes and external pages
+ */
+function isRouteHref(href) {
+  return !NON_ROUTE_HREF.test(href);
+}
+
+/**
+ * Name a dynamic segment after the value interpolated into it
+ */
+function getSegmentName(expression) {
+  if (t.isIdentifier(expression)) return expression.name;
+  if (t.isMemberExpression(expression) && t.isIdentifier(expression.property)) {
+    return expression.property.name;
+  }
+  
+  return 'param';
+}
+
+/**
+ * Find a `router.push(...)`/`router.replace(...)` call in an element's
+ * onClick handler, where `router` comes from Next's useRouter() or the
+ * default export of next/router
+ *
+ * @param {Object} path - Babel path of the JSX element
+ * @returns {{href: string|null}|null} The navigation, or null if the handler does not navigate
+ */
+function findRouterNavigation(path) {
+  const onClick = path.get('openingElement.attributes').find(attr =>
+    attr.isJSXAttribute() && t.isJSXIdentifier(attr.node.name, { name: 'onClick' })
+  );
+  
+  const handler = onClick && resolveHandler(onClick.get('value'));
+  if (!handler) return null;
+  
+  let navigation = null;
+  
+  handler.traverse({
+    CallExpression(callPath) {
+      const callee = callPath.node.callee;
+      
+      if (
+        !navigation &&
+        t.isMemberExpression(callee) &&
+        t.isIdentifier(callee.object) &&
+        t.isIdentifier(callee.property) &&
+        ['push', 'replace'].includes(callee.property.name) &&
+        isRouter(callPath.scope.getBinding(callee.object.name))
+      ) {
+        navigation = { href: resolveHref(callPath.node.arguments[0]) };
+      }
+    }
+  });
+  
+  return navigation;
+}
+
+/**
+ * Resolve an onClick value to the function it runs, following identifiers
+ * to handlers declared in the component
+ */
+function resolveHandler(valuePath) {
+  if (!valuePath.isJSXExpressionContainer()) return null;
+  
+  const expression = valuePath.get('expression');
+  
+  if (expression.isFunction()) {
+    return expression;
+  }
+  
+  if (expression.isIdentifier()) {
+    const binding = expression.scope.getBinding(expression.node.name);
+    const bindingPath = binding?.path;
+    
+    if (bindingPath?.isFunctionDeclaration()) {
+      return bindingPath;
+    }
+    
+    if (bindingPath?.isVariableDeclarator() && bindingPath.get('init').isFunction()) {
+      return bindingPath.get('init');
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a binding is a Next.js router: the result of useRouter() from
+ * next/router or next/navigation, or the default export of next/router
+ */
+function isRouter(binding) {
+  if (!binding) return false;
+  
+  if (binding.kind === 'module') {
+    return t.isImportDefaultSpecifier(binding.path.node) &&
+      binding.path.parent.source.value === 'next/router';
+  }
+  
+  const init = binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+  if (!t.isCallExpression(init) || !t.isIdentifier(init.callee)) return false;
+  
+  const hookBinding = binding.path.scope.getBinding(init.callee.name);
+  
+  return Boolean(
+    hookBinding &&
+    hookBinding.kind === 'module' &&
+    t.isImportSpecifier(hookBinding.path.node) &&
+    (hookBinding.path.node.imported.name || hookBinding.path.node.imported.value) === 'useRouter' &&
+    ROUTER_SOURCES.includes(hookBinding.path.parent.source.value)
+  );
+}
+
+module.exports = {
+  resolveHref,
+  isRouteHref,
+  findRouterNavigation
+};
@@ -1,16 +1,225 @@
 // babel-plugin-nextjs-ai-optimizer.js
 const { declare } = require('@babel/helper-plugin-utils');
 const { types: t } = require('@babel/core');
+const nodePath = require('path');
+const crypto = require('crypto');
+const { recordFileMetadata } = require('./registry');
+const { extractPropTypes, collectTypeDeclarations } = require('./props');
+const { getComponentDocs, getElementDocs, applyParamDocs } = require('./jsdoc');
+const {
+  getElementInfo,
+  collectForwardingComponents,
+  resolveComponentMapping,
+  validateComponentMappings
+} = require('./elements');
+const { resolveHref, isRouteHref, findRouterNavigation } = require('./navigation');
+const { inferDescription } = require('./descriptions');
+const { extractFormSchema } = require('./forms');
+const { resolveFormAction } = require('./actions');
+const { formatDiagnostic } = require('./diagnostics');
+const { findAttribute, hasAttribute, getStaticValue } = require('./attributes');
+const {
+  checkHandlerAccessibility,
+  checkAccessibleName,
+  checkField,
+  checkFormSubmit,
+  checkDuplicateTarget
+} = require('./checks');
+const {
+  compileGlobs,
+  isFileExcluded,
+  getDisableDirectives,
+  hasIgnoreAttribute,
+  isElementAllowed
+} = require('./filters');
+
+/**
+ * Features enabled by each optimization level. Every level includes the
+ * features of the levels before it.
+ */
+const OPTIMIZATION_LEVELS = {
+  // Only tag interactive elements with a data-ai-target
+  basic: {
+    targetAllElements: false,
+    interactionAttributes: false,
+    descriptions: false,
+    componentScope: false,
+    formSchemas: false
+  },
+  // Tag every element, add action/input-type attributes and mark each
+  // component's root element
+  standard: {
+    targetAllElements: true,
+    interactionAttributes: true,
+    descriptions: false,
+    componentScope: true,
+    formSchemas: false
+  },
+  // Also infer descriptions and describe forms
+  advanced: {
+    targetAllElements: true,
+    interactionAttributes: true,
+    descriptions: true,
+    componentScope: true,
+    formSchemas: true
+  }
+};
+
+/**
+ * Actions implied by event handlers on elements that are not interactive by
+ * themselves, such as `<div onClick>`, in order of precedence
+ */
+const EVENT_HANDLER_ACTIONS = [
+  ['onClick', 'click'],
+  ['onSubmit', 'submit'],
+  ['onChange', 'input'],
+  ['onKeyDown', 'keypress']
+];
+
+/**
+ * Component semantics that apply without any configuration
+ */
+const BUILT_IN_COMPONENT_MAPPINGS = {
+  'next/link': {
+    default: { action: 'navigate', hrefProp: 'href' }
+  }
+};
+
+/**
+ * The attribute prefix the plugin reads and writes internally
+ */
+const DEFAULT_ATTRIBUTE_PREFIX = 'data-ai-';
+
+/**
+ * Attributes, without their prefix, that the attributePrefix option renames
+ */
+const AI_ATTRIBUTES = [
+  'target', 'component', 'action', 'href', 'input-type', 'interaction',
+  'description', 'intent', 'form-schema', 'server-action', 'source', 'ignore'
+];
 
 /**
  * Babel plugin to enhance React components for better AI agent interaction
  */
 module.exports = declare((api, options = {}) => {
   api.assertVersion(7);
-
+  
+  const optimizationLevel = resolveOptimizationLevel(options.optimizationLevel);
+  const features = OPTIMIZATION_LEVELS[optimizationLevel];
+  
+  const forwardingComponents = options.forwardingComponents || [];
+  if (!Array.isArray(forwardingComponents)) {
+    throw new Error('[AI Optimizer] forwardingComponents must be an array of component names');
+  }
+  
+  const componentMappings = mergeComponentMappings(
+    BUILT_IN_COMPONENT_MAPPINGS,
+    validateComponentMappings(options.componentMappings || {})
+  );
+  
+  const fileGlobs = {
+    include: compileGlobs(options.include, 'include'),
+    exclude: compileGlobs(options.exclude, 'exclude')
+  };
+  
+  // Source locations help debugging, but never ship to production
+  const sourceLocations = Boolean(options.sourceLocations) && !api.env('production');
+  
+  // The Next.js integration adds source locations, and nothing else, to the
+  // next dev builds it does not optimize
+  const sourceLocationsOnly = Boolean(options.sourceLocationsOnly);
+  
+  const elementLists = {
+    include: validateElementList(options.includeElements, 'includeElements'),
+    exclude: validateElementList(options.excludeElements, 'excludeElements') || []
+  };
+  
+  const attributePrefix = resolveAttributePrefix(options.attributePrefix);
+  const renamesAttributes = attributePrefix !== DEFAULT_ATTRIBUTE_PREFIX;
+  
   return {
     name: 'nextjs-ai-optimizer',
     
+    pre(file) {
+      this.aiFeatures = features;
+      this.aiTypeDeclarations = collectTypeDeclarations(file.ast.program);
+      
+      // Targets already emitted in this file, used to resolve hash collisions
+      this.aiTargets = new Set();
+      
+      // Explicit data-ai-target values per component, to report duplicates
+      this.aiExplicitTargets = new Map();
+      
+      // Components and elements marked @ai-ignore
+      this.aiIgnoredNodes = new WeakSet();
+      
+      // Component function/class nodes mapped to their names
+      this.aiComponentNodes = new WeakMap();
+      
+      // Capitalised components that pass data attributes on to the DOM
+      this.aiForwardingComponents = new Set([
+        ...forwardingComponents,
+        ...collectForwardingComponents(file.ast.program)
+      ]);
+      
+      this.aiComponentMappings = componentMappings;
+      this.aiElementLists = elementLists;
+      this.aiSourceLocations = sourceLocations;
+      
+      // With a custom prefix, attributes written in the source are read
+      // under data-ai-* and renamed back once each element is done
+      if (renamesAttributes) {
+        t.traverseFast(file.ast, node => {
+          if (t.isJSXOpeningElement(node)) {
+            renameAttributes(node, attributePrefix, DEFAULT_ATTRIBUTE_PREFIX);
+          }
+        });
+      }
+      
+      // Regions left untouched, reported in the build manifest
+      file.metadata.aiSkipped = [];
+      
+      // Whole files are skipped by the include/exclude globs or an
+      // ai-optimizer-disable comment; single lines by disable-line comments
+      const directives = getDisableDirectives(file.ast.comments);
+      this.aiDisabledLines = directives.lines;
+      
+      if (this.filename && isFileExcluded(getRelativeFilename(this), fileGlobs)) {
+        this.aiSkipFile = true;
+        file.metadata.aiSkipped.push({ reason: 'exclude' });
+      } else if (directives.file) {
+        this.aiSkipFile = true;
+        file.metadata.aiSkipped.push({ reason: 'disable-comment' });
+      }
+    },
+    
+    post(file) {
+      const diagnostics = file.metadata.aiDiagnostics || [];
+      
+      // The Next.js integration reports diagnostics as webpack warnings. On
+      // its own the plugin logs them, or fails the file in strict mode.
+      if (!options.collectMetadata && diagnostics.length > 0) {
+        const messages = diagnostics.map(diagnostic => formatDiagnostic(getRelativeFilename(this), diagnostic));
+        
+        if (options.strict) {
+          throw new Error(messages.join('\n'));
+        }
+        
+        messages.forEach(message => console.warn(message));
+      }
+      
+      // Share what we found with the Next.js integration's manifest plugin
+      if (options.collectMetadata && this.filename) {
+        recordFileMetadata(this.filename, {
+          components: file.metadata.aiComponents || [],
+          targets: file.metadata.aiTargets || [],
+          actions: file.metadata.aiServerActions || [],
+          diagnostics,
+          skipped: file.metadata.aiSkipped || []
+        });
+      }
+    },
+    
     visitor: {
       /**
        * Process JSX elements to add AI-friendly attributes
@@ -19,44 +228,276 @@ module.exports = declare((api, options = {}) => {
         const element = path.node;
         const openingElement = element.openingElement;
         
+        if (state.aiSkipFile) {
+          return;
+        }
+        
+        // Skip anything rendered by an ignored component or element
+        if (path.findParent(parent => state.aiIgnoredNodes.has(parent.node))) {
+          return;
+        }
+        
+        // data-ai-ignore skips the subtree, disable-line comments the element
+        const optOut = getOptOutReason(openingElement, state);
+        if (optOut) {
+          recordSkipped(path, state, optOut);
+          
+          if (optOut === 'data-ai-ignore') {
+            state.aiIgnoredNodes.add(element);
+          }
+          return;
+        }
+        
         // Skip if this is a fragment or has been processed
-        if (
-          openingElement.name.type === 'JSXIdentifier' && 
-          openingElement.name.name === 'Fragment'
-        ) {
+        const elementInfo = getElementInfo(openingElement);
+        if (elementInfo.isFragment) {
           return;
         }
         
-        // Don't process if element already has ai-target attribute
-        if (openingElement.attributes.some(attr => 
-          attr.type === 'JSXAttribute' && 
-          attr.name.name === 'data-ai-target'
-        )) {
+        if (!isElementAllowed(elementInfo.name, state.aiElementLists)) {
           return;
         }
-
+        
+        if (elementInfo.isComponent) {
+          elementInfo.mapping = resolveComponentMapping(path, state.aiComponentMappings);
+        }
+        
+        if (sourceLocationsOnly) {
+          if (canReceiveAttributes(elementInfo, state)) {
+            addSourceLocation(openingElement, state);
+          }
+          return;
+        }
+        
+        // Don't process if element already has ai-target attribute, but
+        // still list the Server Action it submits
+        if (hasAttribute(openingElement, 'data-ai-target')) {
+          const componentName = getEnclosingComponentName(path, state);
+          checkDuplicateTarget(path, state, componentName);
+          recordFormAction(path, state, elementInfo.tag, {
+            target: getStaticValue(openingElement, 'data-ai-target'),
+            component: componentName || 'unknown'
+          });
+          return;
+        }
+        
+        // Apply JSDoc written directly above the element
+        const docs = getElementDocs(path);
+        if (docs?.ignore) {
+          state.aiIgnoredNodes.add(element);
+          recordSkipped(path, state, 'ai-ignore');
+          return;
+        }
+        
+        // Attributes on a component only reach the DOM if it forwards them
+        if (!canReceiveAttributes(elementInfo, state)) {
+          return;
+        }
+        
+        if (docs) {
+          applyDocsAttributes(openingElement, docs);
+        }
+        
         // Add basic semantic information based on element type
-        enrichElementWithAttributes(path, state);
+        enrichElementWithAttributes(path, state, elementInfo);
+      },
+      
+      /**
+       * Apply the attributePrefix option. The element and its ancestors have
+       * been processed by now, and its children only read their own attributes.
+       */
+      JSXOpeningElement: {
+        exit(path) {
+          if (renamesAttributes) {
+            renameAttributes(path.node, DEFAULT_ATTRIBUTE_PREFIX, attributePrefix);
+          }
+        }
       },
       
       /**
        * Process React component declarations
        */
-      FunctionDeclaration(path, state) {
-        if (isReactComponent(path)) {
-          processComponent(path, state);
+      'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression'(path, state) {
+        if (state.aiSkipFile || sourceLocationsOnly) return;
+        
+        const componentName = getComponentName(path, state);
+        
+        if (componentName && isReactComponent(path)) {
+          processComponent(path, state, componentName);
         }
       },
       
-      ArrowFunctionExpression(path, state) {
-        if (isReactComponent(path)) {
-          processComponent(path, state);
+      'ClassDeclaration|ClassExpression'(path, state) {
+        if (state.aiSkipFile || sourceLocationsOnly) return;
+        
+        const componentName = getComponentName(path, state);
+        
+        if (componentName && isClassComponent(path)) {
+          processComponent(path, state, componentName);
         }
       },
     }
   };
 });
 
+/**
+ * Validate the attributePrefix option, defaulting to data-ai-
+ */
+function resolveAttributePrefix(prefix) {
+  if (prefix === undefined || prefix === null || prefix === '') {
+    return DEFAULT_ATTRIBUTE_PREFIX;
+  }
+  
+  if (typeof prefix !== 'string' || !/^data-[a-z0-9]+(?:-[a-z0-9]+)*-$/.test(prefix)) {
+    throw new Error(
+      `[AI Optimizer] attributePrefix must be a lowercase data attribute prefix ending in "-", ` +
+      `such as "data-agent-". Received ${JSON.stringify(prefix)}`
+    );
+  }
+  
+  return prefix;
+}
+
+/**
+ * Rename the optimizer's attributes on an element from one prefix to another
+ */
+function renameAttributes(openingElement, from, to) {
+  openingElement.attributes.forEach(attr => {
+    if (!t.isJSXAttribute(attr) || !t.isJSXIdentifier(attr.name)) return;
+    
+    const name = attr.name.name;
+    if (name.startsWith(from) && AI_ATTRIBUTES.includes(name.slice(from.length))) {
+      attr.name = t.jsxIdentifier(to + name.slice(from.length));
+    }
+  });
+}
+
+/**
+ * Validate the optimizationLevel option, defaulting to standard
+ */
+function resolveOptimizationLevel(level) {
+  if (level === undefined || level === null || level === '') {
+    return 'standard';
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(OPTIMIZATION_LEVELS, level)) {
+    throw new Error(
+      `[AI Optimizer] Unknown optimizationLevel "${level}". ` +
+      `Expected one of: ${Object.keys(OPTIMIZATION_LEVELS).join(', ')}`
+    );
+  }
+  
+  return level;
+}
+
+/**
+ * Resolve the name a component is known by. Besides named functions and
+ * classes this covers `const Foo = () => ...`, `memo`/`forwardRef` wrappers
+ * and anonymous default exports, which are named after their file.
+ */
+function getComponentName(path, state) {
+  let name = path.node.id?.name;
+  
+  if (!name) {
+    // Step out of memo(...) / forwardRef(...) / React.memo(...) wrappers
+    let current = path;
+    while (
+      current.parentPath.isCallExpression() &&
+      isComponentWrapper(current.parentPath.node.callee) &&
+      current.parentPath.node.arguments[0] === current.node
+    ) {
+      current = current.parentPath;
+    }
+    
+    const parent = current.parentPath;
+    
+    if (parent.isVariableDeclarator() && t.isIdentifier(parent.node.id)) {
+      name = parent.node.id.name;
+    } else if (parent.isExportDefaultDeclaration()) {
+      name = getDefaultExportName(state);
+    }
+  }
+  
+  // Components are PascalCase by React convention
+  return name && /^[A-Z]/.test(name) ? name : null;
+}
+
+/**
+ * Check if a callee is React's memo or forwardRef
+ */
+function isComponentWrapper(callee) {
+  const name = t.isMemberExpression(callee) ? callee.property.name : callee.name;
+  return name === 'memo' || name === 'forwardRef';
+}
+
+/**
+ * Name an anonymous default export after its file, including the folder
+ * for Next.js route files (app/checkout/page.tsx -> CheckoutPage)
+ */
+function getDefaultExportName(state) {
+  if (!state.filename) return null;
+  
+  const { dir, name } = nodePath.parse(state.filename);
+  const routeFiles = ['index', 'page', 'layout', 'template'];
+  const baseName = routeFiles.includes(name) ? `${nodePath.basename(dir)}-${name}` : name;
+  
+  return baseName
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('') || null;
+}
+
+/**
+ * Check if a class is a React class component
+ */
+function isClassComponent(path) {
+  const superClass = path.node.superClass;
+  const superName = t.isMemberExpression(superClass) ? superClass.property.name : superClass?.name;
+  
+  if (superName === 'Component' || superName === 'PureComponent') {
+    return true;
+  }
+  
+  return path.node.body.body.some(member => 
+    t.isClassMethod(member) && t.isIdentifier(member.key, { name: 'render' })
+  );
+}
+
+/**
+ * Find the name of the component a JSX element is rendered by
+ */
+function getEnclosingComponentName(path, state) {
+  const componentPath = path.findParent(parent => state.aiComponentNodes.has(parent.node));
+  return componentPath ? state.aiComponentNodes.get(componentPath.node) : null;
+}
+
+/**
+ * Validate the includeElements/excludeElements options
+ */
+function validateElementList(elements, optionName) {
+  if (elements === undefined) return null;
+  
+  if (!Array.isArray(elements) || elements.some(name => typeof name !== 'string')) {
+    throw new Error(`[AI Optimizer] ${optionName} must be an array of element names`);
+  }
+  
+  return elements;
+}
+
+/**
+ * Merge component mappings per import source, later mappings winning
+ */
+function mergeComponentMappings(...mappings) {
+  return mappings.reduce((merged, mapping) => {
+    Object.entries(mapping).forEach(([source, components]) => {
+      merged[source] = { ...merged[source], ...components };
+    });
+    
+    return merged;
+  }, {});
+}
+
 /**
  * Check if a function is likely a React component
  */
@@ -67,6 +508,11 @@ function isReactComponent(path) {
     return true;
   }
   
+  // Arrow function with a JSX expression body
+  if (t.isJSXElement(path.node.body) || t.isJSXFragment(path.node.body)) {
+    return true;
+  }
+  
   // Function returns JSX
   let returnsJSX = false;
   path.traverse({
@@ -84,97 +530,221 @@ function isReactComponent(path) {
 /**
  * Process a React component
  */
-function processComponent(path, state) {
-  const componentName = path.node.id?.name;
-  if (!componentName) return;
+function processComponent(path, state, componentName) {
+  const docs = getComponentDocs(path);
+  
+  // @ai-ignore hides the component and everything it renders
+  if (docs.ignore) {
+    state.aiIgnoredNodes.add(path.node);
+    state.file.metadata.aiSkipped.push({
+      reason: 'ai-ignore',
+      component: componentName,
+      line: path.node.loc?.start.line ?? null
+    });
+    return;
+  }
   
   // Extract component description and props information
   const componentInfo = {
     name: componentName,
-    props: extractPropTypes(path),
-    description: extractComponentDescription(path),
+    props: applyParamDocs(extractPropTypes(path, componentName, state), docs.params),
+    description: docs.description || '',
+    intent: docs.intent,
+    action: docs.action,
     filename: state.filename
   };
   
   // Store component info in state for later use
+  state.aiComponentNodes.set(path.node, componentName);
+  
   if (!state.file.metadata.aiComponents) {
     state.file.metadata.aiComponents = [];
   }
   
   state.file.metadata.aiComponents.push(componentInfo);
+  
+  // Documented components are scoped at every level so their docs reach the DOM
+  const documented = docs.description || docs.intent || docs.action;
+  
+  if (state.aiFeatures.componentScope || documented) {
+    getComponentRootElements(path).forEach(rootElement => {
+      const rootInfo = getElementInfo(rootElement.openingElement);
+      
+      if (
+        !canReceiveAttributes(rootInfo, state) ||
+        !isElementAllowed(rootInfo.name, state.aiElementLists) ||
+        getOptOutReason(rootElement.openingElement, state)
+      ) {
+        return;
+      }
+      
+      setAttributeIfMissing(rootElement.openingElement, 'data-ai-component', componentName);
+      applyDocsAttributes(rootElement.openingElement, docs);
+    });
+  }
+}
+
+/**
+ * Find why the source opts an element out, if it does
+ */
+function getOptOutReason(openingElement, state) {
+  if (hasIgnoreAttribute(openingElement)) {
+    return 'data-ai-ignore';
+  }
+  
+  if (openingElement.loc && state.aiDisabledLines.has(openingElement.loc.start.line)) {
+    return 'disable-line';
+  }
+  
+  return null;
+}
+
+/**
+ * Report an element left untouched in the build manifest
+ */
+function recordSkipped(path, state, reason) {
+  state.file.metadata.aiSkipped.push({
+    reason,
+    element: getElementInfo(path.node.openingElement).name,
+    component: getEnclosingComponentName(path, state),
+    line: path.node.loc?.start.line ?? null
+  });
+}
+
+/**
+ * Check whether attributes added to an element end up in the DOM: DOM
+ * elements always, components only when they are known to forward them
+ */
+function canReceiveAttributes(elementInfo, state) {
+  if (elementInfo.isFragment) return false;
+  
+  return !elementInfo.isComponent ||
+    Boolean(elementInfo.mapping) ||
+    state.aiForwardingComponents.has(elementInfo.name);
+}
+
+/**
+ * Emit the description, intent and action from JSDoc tags as attributes
+ */
+function applyDocsAttributes(openingElement, docs) {
+  if (docs.description) {
+    setAttributeIfMissing(openingElement, 'data-ai-description', docs.description);
+  }
+  
+  if (docs.intent) {
+    setAttributeIfMissing(openingElement, 'data-ai-intent', docs.intent);
+  }
+  
+  if (docs.action) {
+    setAttributeIfMissing(openingElement, 'data-ai-action', docs.action);
+  }
 }
 
 /**
- * Extract prop types from component
+ * Find the JSX elements a component returns directly
  */
-function extractPropTypes(path) {
-  const props = [];
+function getComponentRootElements(path) {
+  const roots = [];
   
-  // Look for prop parameter in function component
-  if (path.node.params && path.node.params.length > 0) {
-    const propsParam = path.node.params[0];
+  // Class components return their elements from render()
+  if (t.isClass(path.node)) {
+    path.get('body.body')
+      .filter(member => member.isClassMethod() && t.isIdentifier(member.node.key, { name: 'render' }))
+      .forEach(renderPath => roots.push(...getComponentRootElements(renderPath)));
     
-    if (t.isObjectPattern(propsParam)) {
-      // Destructured props
-      propsParam.properties.forEach(prop => {
-        if (t.isObjectProperty(prop) || t.isRestElement(prop)) {
-          const name = prop.key?.name || 'rest';
-          props.push({ name });
-        }
-      });
-    } else if (t.isIdentifier(propsParam)) {
-      // Props as a single object
-      path.traverse({
-        MemberExpression(memberPath) {
-          if (
-            t.isIdentifier(memberPath.node.object) &&
-            memberPath.node.object.name === propsParam.name &&
-            t.isIdentifier(memberPath.node.property)
-          ) {
-            const propName = memberPath.node.property.name;
-            if (!props.some(p => p.name === propName)) {
-              props.push({ name: propName });
-            }
-          }
-        }
-      });
-    }
+    return roots;
+  }
+  
+  // Arrow functions with an expression body return it implicitly
+  if (!t.isBlockStatement(path.node.body)) {
+    return collectReturnedElements(path.node.body);
   }
   
-  return props;
+  path.traverse({
+    // Returns inside nested functions belong to those functions
+    Function(innerPath) {
+      innerPath.skip();
+    },
+    ReturnStatement(returnPath) {
+      roots.push(...collectReturnedElements(returnPath.node.argument));
+    }
+  });
+  
+  return roots;
 }
 
 /**
- * Extract component description from comments
+ * Collect the JSX elements an expression can evaluate to
  */
-function extractComponentDescription(path) {
-  const comments = path.node.leadingComments || [];
-  return comments
-    .map(comment => comment.value.trim())
-    .join('\n');
+function collectReturnedElements(node) {
+  if (t.isJSXElement(node)) {
+    return [node];
+  }
+  
+  // cond ? <A /> : <B /> and cond && <A />
+  if (t.isConditionalExpression(node)) {
+    return [...collectReturnedElements(node.consequent), ...collectReturnedElements(node.alternate)];
+  }
+  
+  if (t.isLogicalExpression(node)) {
+    return [...collectReturnedElements(node.left), ...collectReturnedElements(node.right)];
+  }
+  
+  return [];
 }
 
 /**
  * Enrich JSX elements with AI-friendly attributes
  */
-function enrichElementWithAttributes(path, state) {
+function enrichElementWithAttributes(path, state, elementInfo) {
   const element = path.node;
   const openingElement = element.openingElement;
-  const elementName = openingElement.name.name;
-  const attributes = openingElement.attributes;
+  const elementName = elementInfo.name;
+  const tagName = elementInfo.tag;
+  const features = state.aiFeatures;
+  const mapping = elementInfo.mapping;
   
-  // Get existing IDs or keys
-  const id = attributes.find(attr => 
-    attr.type === 'JSXAttribute' && 
-    attr.name.name === 'id'
-  )?.value?.value;
+  // Event handlers make any DOM element interactive, e.g. <div onClick>
+  const handlerAction = tagName && !mapping && !isInteractiveElement(tagName)
+    ? getHandlerAction(openingElement)
+    : null;
   
-  const key = attributes.find(attr => 
-    attr.type === 'JSXAttribute' && 
-    attr.name.name === 'key'
-  )?.value?.value;
+  const interactive = mapping || handlerAction
+    ? true
+    : Boolean(tagName) && isInteractiveElement(tagName);
+  
+  // Report what keeps agents and assistive technology from using the element
+  if (handlerAction) {
+    const handlers = EVENT_HANDLER_ACTIONS
+      .map(([prop]) => prop)
+      .filter(prop => hasAttribute(openingElement, prop));
+    
+    checkHandlerAccessibility(path, state, elementName, handlers);
+  }
+  
+  if (['button', 'a', 'summary', 'input'].includes(tagName)) {
+    checkAccessibleName(path, state, elementName, tagName);
+  }
+  
+  if (['input', 'select', 'textarea'].includes(tagName)) {
+    checkField(path, state, elementName, getLabelScope(path, state));
+  }
+  
+  if (tagName === 'form') {
+    checkFormSubmit(path, state);
+  }
+  
+  // The basic level only tags elements an agent can interact with
+  if (!interactive && !features.targetAllElements) {
+    return;
+  }
+  
+  // Get existing IDs or keys
+  const id = getStaticValue(openingElement, 'id');
+  const key = getStaticValue(openingElement, 'key');
   
   // Generate a suitable AI target identifier
+  const parentComponent = getEnclosingComponentName(path, state) || 'unknown';
   let aiTarget;
   
   if (id) {
@@ -183,21 +753,134 @@ function enrichElementWithAttributes(path, state) {
     aiTarget = key;
   } else {
     // Generate based on element type and context
-    const parentComponent = state.file.metadata?.aiComponents?.[0]?.name || 'unknown';
-    aiTarget = `${parentComponent}-${elementName}-${generateShortHash()}`;
+    aiTarget = generateStableTarget(path, state, parentComponent, elementName.replace(/[.:]/g, '-'));
+  }
+  
+  state.aiTargets.add(aiTarget);
+  
+  // Remember which component rendered this target for the build manifest
+  if (!state.file.metadata.aiTargets) {
+    state.file.metadata.aiTargets = [];
   }
   
+  const targetInfo = {
+    target: aiTarget,
+    element: elementName,
+    component: parentComponent
+  };
+  
+  state.file.metadata.aiTargets.push(targetInfo);
+  
   // Add data-ai-target attribute
-  openingElement.attributes.push(
-    t.jsxAttribute(
-      t.jsxIdentifier('data-ai-target'),
-      t.stringLiteral(aiTarget)
-    )
-  );
+  addAttribute(openingElement, 'data-ai-target', aiTarget);
+  
+  addSourceLocation(openingElement, state);
+  
+  recordFormAction(path, state, tagName, targetInfo);
+  
+  // Handlers that call router.push()/replace() navigate, whatever the element
+  if (features.interactionAttributes && !hasAttribute(openingElement, 'data-ai-action')) {
+    const navigation = findRouterNavigation(path);
+    
+    if (navigation) {
+      addAttribute(openingElement, 'data-ai-action', 'navigate');
+      if (navigation.href) {
+        setAttributeIfMissing(openingElement, 'data-ai-href', navigation.href);
+      }
+    }
+  }
   
   // Add semantic attributes based on element type
-  if (isInteractiveElement(elementName)) {
-    addInteractionAttributes(openingElement, elementName);
+  if (interactive && features.interactionAttributes) {
+    if (mapping) {
+      addMappedInteractionAttributes(openingElement, mapping);
+    } else if (handlerAction) {
+      setAttributeIfMissing(openingElement, 'data-ai-action', handlerAction);
+    } else {
+      addInteractionAttributes(openingElement, tagName);
+    }
+  }
+  
+  // Clickable elements are named by their content, like buttons
+  if (interactive && features.descriptions) {
+    addDescriptionAttribute(path, state, handlerAction ? null : tagName);
+  }
+  
+  if (tagName === 'form' && features.formSchemas) {
+    const schema = addFormSchemaAttribute(path, state);
+    if (schema) {
+      targetInfo.formSchema = schema;
+    }
+  }
+  
+  // Interactive and navigation targets are listed in the manifest
+  const action = getStaticValue(openingElement, 'data-ai-action');
+  if (action) {
+    targetInfo.action = action;
+  }
+  
+  const href = getStaticValue(openingElement, 'data-ai-href');
+  if (href) {
+    targetInfo.href = href;
+  }
+  
+  // Written or inferred descriptions are used in the Markdown summaries
+  const description = getStaticValue(openingElement, 'data-ai-description');
+  if (description) {
+    targetInfo.description = description;
+  }
+}
+
+/**
+ * Get the action implied by an element's event handler props
+ */
+function getHandlerAction(openingElement) {
+  const handler = EVENT_HANDLER_ACTIONS.find(([prop]) => hasAttribute(openingElement, prop));
+  return handler ? handler[1] : null;
+}
+
+/**
+ * Record the Server Action submitted by a <form action> or <button formAction>
+ */
+function recordFormAction(path, state, tagName, targetInfo) {
+  const actionProp = tagName === 'form'
+    ? 'action'
+    : ['button', 'input'].includes(tagName) ? 'formAction' : null;
+  
+  const serverAction = actionProp && resolveFormAction(path, actionProp, state);
+  if (serverAction && serverAction.server !== false) {
+    recordServerAction(path, state, serverAction, targetInfo);
+  }
+}
+
+/**
+ * List a Server Action in the file metadata with the fields of the form it
+ * submits, and name it on the element
+ */
+function recordServerAction(path, state, serverAction, targetInfo) {
+  const isForm = elementPath => elementPath.isJSXElement() &&
+    getElementInfo(elementPath.node.openingElement).tag === 'form';
+  const formPath = isForm(path) ? path : path.findParent(isForm);
+  
+  const fields = formPath
+    ? extractFormSchema(formPath, null).fields.map(field => field.name).filter(Boolean)
+    : [];
+  
+  if (!state.file.metadata.aiServerActions) {
+    state.file.metadata.aiServerActions = [];
+  }
+  
+  state.file.metadata.aiServerActions.push({
+    name: serverAction.name,
+    module: serverAction.module,
+    server: serverAction.server,
+    target: targetInfo.target,
+    component: targetInfo.component,
+    fields
+  });
+  
+  if (state.aiFeatures.interactionAttributes) {
+    setAttributeIfMissing(path.node.openingElement, 'data-ai-server-action', serverAction.name);
   }
 }
 
@@ -217,28 +900,26 @@ function isInteractiveElement(elementName) {
 function addInteractionAttributes(openingElement, elementName) {
   switch (elementName.toLowerCase()) {
     case 'button':
-    case 'a':
       if (!hasAttribute(openingElement, 'data-ai-action')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-action'),
-            t.stringLiteral('click')
-          )
-        );
+        addAttribute(openingElement, 'data-ai-action', 'click');
       }
       break;
-      
+    
+    case 'a':
+      // Anchors with an href take the agent to another page
+      if (hasAttribute(openingElement, 'href')) {
+        addNavigationAttributes(openingElement, 'href');
+      } else if (!hasAttribute(openingElement, 'data-ai-action')) {
+        addAttribute(openingElement, 'data-ai-action', 'click');
+      }
+      break;
+    
     case 'input':
-      const typeAttr = getAttribute(openingElement, 'type');
+      const typeAttr = findAttribute(openingElement, 'type');
       const inputType = typeAttr?.value?.value || 'text';
       
       if (!hasAttribute(openingElement, 'data-ai-input-type')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-input-type'),
-            t.stringLiteral(inputType)
-          )
-        );
+        addAttribute(openingElement, 'data-ai-input-type', inputType);
       }
       
       // Determine correct action type based on input type
@@ -249,73 +930,198 @@ function addInteractionAttributes(openingElement, elementName) {
       }
       
       if (!hasAttribute(openingElement, 'data-ai-action')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-action'),
-            t.stringLiteral(actionType)
-          )
-        );
+        addAttribute(openingElement, 'data-ai-action', actionType);
       }
       break;
-      
+    
     case 'form':
       if (!hasAttribute(openingElement, 'data-ai-interaction')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-interaction'),
-            t.stringLiteral('form-submission')
-          )
-        );
+        addAttribute(openingElement, 'data-ai-interaction', 'form-submission');
       }
       break;
-      
+    
     case 'select':
       if (!hasAttribute(openingElement, 'data-ai-action')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-action'),
-            t.stringLiteral('select')
-          )
-        );
+        addAttribute(openingElement, 'data-ai-action', 'select');
       }
       break;
-      
+    
     case 'textarea':
       if (!hasAttribute(openingElement, 'data-ai-action')) {
-        openingElement.attributes.push(
-          t.jsxAttribute(
-            t.jsxIdentifier('data-ai-action'),
-            t.stringLiteral('input')
-          )
-        );
+        addAttribute(openingElement, 'data-ai-action', 'input');
       }
       break;
   }
 }
 
 /**
- * Check if element has a specific attribute
+ * Add interaction attributes to a design-system component from its mapping
  */
-function hasAttribute(openingElement, name) {
-  return openingElement.attributes.some(attr => 
-    attr.type === 'JSXAttribute' && 
-    attr.name.name === name
-  );
+function addMappedInteractionAttributes(openingElement, mapping) {
+  if (mapping.hrefProp) {
+    addNavigationAttributes(openingElement, mapping.hrefProp, mapping.action);
+  }
+  
+  setAttributeIfMissing(openingElement, 'data-ai-action', mapping.action);
+  
+  // The input type comes from a prop such as <TextField type="email" />
+  const inputType = (mapping.inputTypeProp && getStaticValue(openingElement, mapping.inputTypeProp)) ||
+    mapping.inputType;
+  
+  if (inputType) {
+    setAttributeIfMissing(openingElement, 'data-ai-input-type', inputType);
+  } else if (mapping.action === 'input') {
+    setAttributeIfMissing(openingElement, 'data-ai-input-type', 'text');
+  }
+  
+  if (mapping.description) {
+    setAttributeIfMissing(openingElement, 'data-ai-description', mapping.description);
+  }
+}
+
+/**
+ * Mark an element as navigating to the route held in one of its props.
+ * In-page anchors, mailto: and tel: links are clicked instead.
+ */
+function addNavigationAttributes(openingElement, hrefProp, action = 'navigate') {
+  const href = resolveHref(findAttribute(openingElement, hrefProp)?.value);
+  
+  if (href && !isRouteHref(href)) {
+    setAttributeIfMissing(openingElement, 'data-ai-action', 'click');
+    return;
+  }
+  
+  setAttributeIfMissing(openingElement, 'data-ai-action', action);
+  
+  if (href) {
+    setAttributeIfMissing(openingElement, 'data-ai-href', href);
+  }
+}
+
+/**
+ * Describe an element from its static label, text or ARIA attributes,
+ * unless the author already described it
+ */
+function addDescriptionAttribute(path, state, tagName) {
+  const openingElement = path.node.openingElement;
+  if (hasAttribute(openingElement, 'data-ai-description')) return;
+  
+  const description = inferDescription(path, tagName, getLabelScope(path, state));
+  if (description) {
+    addAttribute(openingElement, 'data-ai-description', description);
+  }
+}
+
+/**
+ * Get the path labels are looked up in: the enclosing component, or the
+ * whole file for elements outside components
+ */
+function getLabelScope(path, state) {
+  return path.findParent(parent => state.aiComponentNodes.has(parent.node)) ||
+    path.scope.getProgramParent().path;
+}
+
+/**
+ * Describe the fields a form contains as a JSON data-ai-form-schema attribute
+ * @returns {Object|null} The schema, or null if the author provided one
+ */
+function addFormSchemaAttribute(path, state) {
+  const openingElement = path.node.openingElement;
+  if (hasAttribute(openingElement, 'data-ai-form-schema')) return null;
+  
+  const schema = extractFormSchema(path, getLabelScope(path, state));
+  // Always an expression: JSON is full of quotes, which JSX strings cannot escape
+  addAttribute(openingElement, 'data-ai-form-schema', t.jsxExpressionContainer(t.stringLiteral(JSON.stringify(schema))));
+  
+  return schema;
+}
+
+/**
+ * Point back at the JSX that produced an element, e.g. app/page.tsx:42:7
+ */
+function addSourceLocation(openingElement, state) {
+  if (!state.aiSourceLocations || !openingElement.loc) return;
+  
+  const { line, column } = openingElement.loc.start;
+  setAttributeIfMissing(openingElement, 'data-ai-source', `${getRelativeFilename(state)}:${line}:${column + 1}`);
+}
+
+/**
+ * Add an attribute unless the element already defines it
+ */
+function setAttributeIfMissing(openingElement, name, value) {
+  if (hasAttribute(openingElement, name)) return;
+  
+  addAttribute(openingElement, name, value);
 }
 
 /**
- * Get specific attribute from element
+ * Add an attribute ahead of any spread props, so that values a parent
+ * forwards through `{...props}` take precedence over generated ones
+ * @param {string|Object} value - A string, or a JSX attribute value node
  */
-function getAttribute(openingElement, name) {
-  return openingElement.attributes.find(attr => 
-    attr.type === 'JSXAttribute' && 
-    attr.name.name === name
+function addAttribute(openingElement, name, value) {
+  const attribute = t.jsxAttribute(
+    t.jsxIdentifier(name),
+    typeof value === 'string' ? createAttributeValue(value) : value
   );
+  const spreadIndex = openingElement.attributes.findIndex(attr => t.isJSXSpreadAttribute(attr));
+  
+  if (spreadIndex === -1) {
+    openingElement.attributes.push(attribute);
+  } else {
+    openingElement.attributes.splice(spreadIndex, 0, attribute);
+  }
+}
+
+/**
+ * JSX strings have no escape sequences: the generator's `\"` or `\xE9` would
+ * end up in the output as written, which SWC rejects, and `&amp;` is read as
+ * an entity. Values that need escaping are written as `{"..."}` instead.
+ */
+function createAttributeValue(value) {
+  const literal = t.stringLiteral(value);
+  
+  return /^[\x20-\x7e]*$/.test(value) && !/["\\&]/.test(value)
+    ? literal
+    : t.jsxExpressionContainer(literal);
+}
+
+/**
+ * Generate a data-ai-target that stays identical across rebuilds and between
+ * the server and client compiles of the same source
+ */
+function generateStableTarget(path, state, componentName, elementName) {
+  const loc = path.node.loc?.start;
+  const position = loc ? `${loc.line}:${loc.column}` : 'noloc';
+  const base = `${componentName}-${elementName}-${generateShortHash(
+    [getRelativeFilename(state), componentName, elementName, position].join('|')
+  )}`;
+  
+  // Identical inputs (e.g. elements without a source location) get a counter
+  let aiTarget = base;
+  let counter = 2;
+  while (state.aiTargets.has(aiTarget)) {
+    aiTarget = `${base}-${counter++}`;
+  }
+  
+  return aiTarget;
+}
+
+/**
+ * Get the file being compiled relative to the project root, using forward
+ * slashes so IDs do not depend on the machine or OS that built them
+ */
+function getRelativeFilename(state) {
+  if (!state.filename) return 'unknown';
+  
+  const root = state.file.opts.root || state.cwd || process.cwd();
+  return nodePath.relative(root, state.filename).split(nodePath.sep).join('/');
 }
 
 /**
- * Generate a short hash for unique IDs
+ * Generate a short deterministic hash for unique IDs
  */
-function generateShortHash() {
-  return Math.random().toString(36).substring(2, 8);
+function generateShortHash(input) {
+  return crypto.createHash('md5').update(input).digest('hex').substring(0, 6);
 }
\ No newline at end of file
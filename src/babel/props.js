@@ -0,0 +1,365 @@
+// src/babel/props.js
+const { types: t } = require('@babel/core');
+
+/**
+ * PropTypes validators mapped to the type name we report for them
+ */
+const PROP_TYPE_NAMES = {
+  string: 'string',
+  number: 'number',
+  bool: 'boolean',
+  func: 'function',
+  object: 'object',
+  array: 'array',
+  symbol: 'symbol',
+  node: 'ReactNode',
+  element: 'ReactElement',
+  elementType: 'ElementType',
+  any: 'any'
+};
+
+/**
+ * Extract typed prop information for a component
+ *
+ * Combines the props a component reads (destructuring or `props.x` access)
+ * with TypeScript annotations, `propTypes`/`defaultProps` assignments and
+ * destructuring defaults found in the same file.
+ *
+ * @param {Object} path - Babel path of the component function
+ * @param {string} componentName - Name used for static propTypes assignments
+ * @param {Object} state - Babel plugin state
+ * @returns {Array<Object>} Props with name, type, required and defaultValue
+ */
+function extractPropTypes(path, componentName, state) {
+  const props = new Map();
+  const source = state.file.code || '';
+  
+  const addProp = (name, info = {}) => {
+    const prop = props.get(name) || { name, type: null, required: false };
+    
+    Object.keys(info).forEach(key => {
+      if (info[key] !== undefined) {
+        prop[key] = info[key];
+      }
+    });
+    
+    props.set(name, prop);
+  };
+  
+  // Class components read this.props.x or destructure this.props
+  if (t.isClass(path.node)) {
+    path.traverse({
+      MemberExpression(memberPath) {
+        const { object, property } = memberPath.node;
+        
+        if (
+          t.isMemberExpression(object) &&
+          t.isThisExpression(object.object) &&
+          t.isIdentifier(object.property, { name: 'props' }) &&
+          t.isIdentifier(property)
+        ) {
+          addProp(property.name);
+        }
+      },
+      VariableDeclarator(declaratorPath) {
+        const { id, init } = declaratorPath.node;
+        
+        if (
+          t.isObjectPattern(id) &&
+          t.isMemberExpression(init) &&
+          t.isThisExpression(init.object) &&
+          t.isIdentifier(init.property, { name: 'props' })
+        ) {
+          id.properties.forEach(prop => {
+            const name = t.isObjectProperty(prop) && getKeyName(prop.key);
+            if (!name) return;
+            
+            addProp(name, t.isAssignmentPattern(prop.value)
+              ? { defaultValue: getDefaultValue(prop.value.right, source) }
+              : {});
+          });
+        }
+      }
+    });
+  }
+  
+  // Look for prop parameter in function component
+  if (path.node.params && path.node.params.length > 0) {
+    const propsParam = path.node.params[0];
+    const pattern = t.isAssignmentPattern(propsParam) ? propsParam.left : propsParam;
+    
+    if (t.isObjectPattern(pattern)) {
+      // Destructured props
+      pattern.properties.forEach(prop => {
+        if (t.isObjectProperty(prop)) {
+          const name = getKeyName(prop.key);
+          if (!name) return;
+          
+          addProp(name, t.isAssignmentPattern(prop.value)
+            ? { defaultValue: getDefaultValue(prop.value.right, source) }
+            : {});
+        } else if (t.isRestElement(prop)) {
+          addProp('rest');
+        }
+      });
+    } else if (t.isIdentifier(pattern)) {
+      // Props as a single object
+      path.traverse({
+        MemberExpression(memberPath) {
+          if (
+            t.isIdentifier(memberPath.node.object) &&
+            memberPath.node.object.name === pattern.name &&
+            t.isIdentifier(memberPath.node.property)
+          ) {
+            addProp(memberPath.node.property.name);
+          }
+        }
+      });
+    }
+  }
+  
+  // TypeScript annotations on the props parameter or the component binding
+  const annotation = getPropsTypeAnnotation(path);
+  if (annotation) {
+    getTypeMembers(annotation, state.aiTypeDeclarations, new Set()).forEach(member => {
+      const name = getKeyName(member.key);
+      if (!name) return;
+      
+      addProp(name, {
+        type: t.isTSMethodSignature(member)
+          ? 'function'
+          : getSourceText(member.typeAnnotation?.typeAnnotation, source),
+        required: !member.optional
+      });
+    });
+  }
+  
+  // Component.propTypes = { ... } and Component.defaultProps = { ... }
+  const propTypes = findStaticAssignment(path, componentName, 'propTypes');
+  propTypes?.properties.forEach(prop => {
+    const name = t.isObjectProperty(prop) && getKeyName(prop.key);
+    if (name) {
+      addProp(name, describePropTypeValidator(prop.value, source));
+    }
+  });
+  
+  const defaultProps = findStaticAssignment(path, componentName, 'defaultProps');
+  defaultProps?.properties.forEach(prop => {
+    const name = t.isObjectProperty(prop) && getKeyName(prop.key);
+    if (name) {
+      addProp(name, { defaultValue: getDefaultValue(prop.value, source) });
+    }
+  });
+  
+  // A default means callers never have to pass the prop
+  return Array.from(props.values()).map(prop => (
+    'defaultValue' in prop ? { ...prop, required: false } : prop
+  ));
+}
+
+/**
+ * Find the type annotation describing a component's props
+ */
+function getPropsTypeAnnotation(path) {
+  // class Button extends Component<ButtonProps>
+  if (t.isClass(path.node)) {
+    return path.node.superTypeParameters?.params[0] || null;
+  }
+  
+  const param = path.node.params?.[0];
+  const paramAnnotation = param?.typeAnnotation?.typeAnnotation ||
+    param?.left?.typeAnnotation?.typeAnnotation;
+  
+  if (paramAnnotation) {
+    return paramAnnotation;
+  }
+  
+  const parent = path.parentPath;
+  
+  // const Button: React.FC<ButtonProps> = (...) => ...
+  if (parent?.isVariableDeclarator()) {
+    const bindingType = parent.node.id.typeAnnotation?.typeAnnotation;
+    if (t.isTSTypeReference(bindingType)) {
+      return bindingType.typeParameters?.params[0] || null;
+    }
+  }
+  
+  // forwardRef<Ref, Props>(...) and memo<Props>(...)
+  if (parent?.isCallExpression()) {
+    const callee = parent.node.callee;
+    const calleeName = t.isMemberExpression(callee) ? callee.property.name : callee.name;
+    const typeParams = parent.node.typeParameters?.params || [];
+    
+    if (calleeName === 'forwardRef') return typeParams[1] || null;
+    if (calleeName === 'memo') return typeParams[0] || null;
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve a TypeScript type to its property signatures, following
+ * interfaces and type aliases declared in the same file
+ */
+function getTypeMembers(typeNode, declarations, seen) {
+  if (t.isTSTypeLiteral(typeNode)) {
+    return typeNode.members;
+  }
+  
+  if (t.isTSIntersectionType(typeNode)) {
+    return typeNode.types.flatMap(type => getTypeMembers(type, declarations, seen));
+  }
+  
+  if (t.isTSParenthesizedType(typeNode)) {
+    return getTypeMembers(typeNode.typeAnnotation, declarations, seen);
+  }
+  
+  if (t.isTSTypeReference(typeNode) || t.isTSExpressionWithTypeArguments(typeNode)) {
+    const reference = typeNode.typeName || typeNode.expression;
+    if (!t.isIdentifier(reference) || seen.has(reference.name)) {
+      return [];
+    }
+    
+    seen.add(reference.name);
+    
+    const declaration = declarations.get(reference.name);
+    
+    if (t.isTSInterfaceDeclaration(declaration)) {
+      return [
+        ...(declaration.extends || []).flatMap(parent => getTypeMembers(parent, declarations, seen)),
+        ...declaration.body.body
+      ];
+    }
+    
+    if (t.isTSTypeAliasDeclaration(declaration)) {
+      return getTypeMembers(declaration.typeAnnotation, declarations, seen);
+    }
+  }
+  
+  return [];
+}
+
+/**
+ * Collect the top-level interfaces and type aliases of a file, exported or not
+ *
+ * Must run before traversal: the TypeScript transform removes these
+ * declarations as soon as it visits them, which can be before we reach the
+ * component that uses them.
+ *
+ * @param {Object} program - The file's Program node
+ * @returns {Map<string, Object>} Declarations by name
+ */
+function collectTypeDeclarations(program) {
+  const declarations = new Map();
+  
+  for (const statement of program.body) {
+    const declaration = t.isExportNamedDeclaration(statement) || t.isExportDefaultDeclaration(statement)
+      ? statement.declaration
+      : statement;
+    
+    if (t.isTSInterfaceDeclaration(declaration) || t.isTSTypeAliasDeclaration(declaration)) {
+      declarations.set(declaration.id.name, declaration);
+    }
+  }
+  
+  return declarations;
+}
+
+/**
+ * Find the object assigned to `Component.<property>` at the top level, or
+ * declared as a static class property
+ */
+function findStaticAssignment(path, componentName, property) {
+  if (t.isClass(path.node)) {
+    const classProperty = path.node.body.body.find(member => 
+      t.isClassProperty(member) &&
+      member.static &&
+      t.isIdentifier(member.key, { name: property })
+    );
+    
+    if (t.isObjectExpression(classProperty?.value)) {
+      return classProperty.value;
+    }
+  }
+  
+  if (!componentName) return null;
+  
+  const program = path.scope.getProgramParent().path.node;
+  
+  for (const statement of program.body) {
+    const expression = statement.expression;
+    
+    if (
+      t.isAssignmentExpression(expression) &&
+      t.isMemberExpression(expression.left) &&
+      t.isIdentifier(expression.left.object, { name: componentName }) &&
+      t.isIdentifier(expression.left.property, { name: property }) &&
+      t.isObjectExpression(expression.right)
+    ) {
+      return expression.right;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Describe a PropTypes validator such as `PropTypes.string.isRequired`
+ */
+function describePropTypeValidator(node, source) {
+  let validator = node;
+  let required = false;
+  
+  if (t.isMemberExpression(validator) && t.isIdentifier(validator.property, { name: 'isRequired' })) {
+    validator = validator.object;
+    required = true;
+  }
+  
+  // PropTypes.string -> string, PropTypes.oneOf([...]) -> oneOf([...])
+  let type = getSourceText(validator, source);
+  if (t.isMemberExpression(validator) && t.isIdentifier(validator.property)) {
+    type = PROP_TYPE_NAMES[validator.property.name] || validator.property.name;
+  } else if (t.isCallExpression(validator) && t.isMemberExpression(validator.callee)) {
+    type = getSourceText(validator, source).replace(/^PropTypes\./, '');
+  }
+  
+  return { type, required };
+}
+
+/**
+ * Get a default value as plain JSON when it can be evaluated statically,
+ * otherwise as the source text of the expression
+ */
+function getDefaultValue(node, source) {
+  if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+    return node.value;
+  }
+  
+  if (t.isNullLiteral(node)) {
+    return null;
+  }
+  
+  return getSourceText(node, source);
+}
+
+/**
+ * Get the name of an object or type member key
+ */
+function getKeyName(key) {
+  if (t.isIdentifier(key)) return key.name;
+  if (t.isStringLiteral(key)) return key.value;
+  return null;
+}
+
+/**
+ * Get the original source text of a node
+ */
+function getSourceText(node, source) {
+  if (!node || node.start == null || node.end == null) return null;
+  return source.slice(node.start, node.end);
+}
+
+module.exports = {
+  extractPropTypes,
+  collectTypeDeclarations
+};
@@ -0,0 +1,80 @@
+// src/babel/registry.js
+
+/**
+ * Process-wide store of the metadata the Babel plugin collects per file.
+ * Keyed on a global symbol so every copy of this package loaded in the same
+ * process (e.g. server and client compilers) shares one registry.
+ */
+const REGISTRY_KEY = Symbol.for('next-ai-optimizer.registry');
+
+if (!globalThis[REGISTRY_KEY]) {
+  globalThis[REGISTRY_KEY] = new Map();
+}
+
+const registry = globalThis[REGISTRY_KEY];
+
+/**
+ * Imports the loader resolved with the bundler's resolver, per file
+ */
+const RESOLVED_IMPORTS_KEY = Symbol.for('next-ai-optimizer.resolvedImports');
+
+if (!globalThis[RESOLVED_IMPORTS_KEY]) {
+  globalThis[RESOLVED_IMPORTS_KEY] = new Map();
+}
+
+const resolvedImports = globalThis[RESOLVED_IMPORTS_KEY];
+
+/**
+ * Record the metadata collected for a compiled file, replacing earlier runs
+ * @param {string} filename - Absolute path of the compiled file
+ * @param {Object} metadata - Components and targets found in the file
+ */
+function recordFileMetadata(filename, metadata) {
+  registry.set(filename, metadata);
+}
+
+/**
+ * Get the metadata last recorded for a file
+ * @param {string} filename - Absolute path of the compiled file
+ * @returns {Object|undefined} The recorded metadata
+ */
+function getFileMetadata(filename) {
+  return registry.get(filename);
+}
+
+/**
+ * Record the files a file's imports resolve to, replacing earlier runs
+ * @param {string} filename - Absolute path of the importing file
+ * @param {Map<string, string>} imports - Files by import source
+ */
+function recordResolvedImports(filename, imports) {
+  resolvedImports.set(filename, imports);
+}
+
+/**
+ * Get the file an import was resolved to
+ * @param {string} filename - Absolute path of the importing file
+ * @param {string} source - The import source, as written
+ * @returns {string|undefined} The file, or undefined if it was not resolved
+ */
+function getResolvedImport(filename, source) {
+  return resolvedImports.get(filename)?.get(source);
+}
+
+/**
+ * Forget what was recorded for a file, e.g. when the loader no longer runs
+ * the plugin on it because its JSX was removed
+ * @param {string} filename - Absolute path of the file
+ */
+function forgetFile(filename) {
+  registry.delete(filename);
+  resolvedImports.delete(filename);
+}
+
+module.exports = {
+  recordFileMetadata,
+  getFileMetadata,
+  forgetFile,
+  recordResolvedImports,
+  getResolvedImport
+};
@@ -0,0 +1,421 @@
+// src/cli/audit.js
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+const { getRouteFromEntry } = require('../next/manifest');
+
+/**
+ * Directories audited, at the project root or under src/
+ */
+const SOURCE_DIRS = ['app', 'pages', 'components'];
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+/**
+ * Tests and stories are not part of the app
+ */
+const IGNORED_FILE = /\.(test|spec|stories)\.[jt]sx?$|\.d\.ts$/;
+
+/**
+ * Diagnostics about elements agents cannot name
+ */
+const LABEL_CODES = ['missing-accessible-name', 'unlabelled-field'];
+
+/**
+ * Audit a project's agent readiness by running the Babel plugin over its
+ * sources, without building it. Files are attributed to the routes whose
+ * page (or its layouts, or pages/_app) imports them, directly or not.
+ *
+ * @param {string} dir - The Next.js project directory
+ * @returns {Promise<Object>} The report: overall statistics and score, and the same per route and per file
+ */
+async function auditProject(dir) {
+  const files = findSourceFiles(dir);
+  const resolveImport = createImportResolver(dir);
+  const results = new Map();
+  const errors = [];
+  
+  for (const filename of files) {
+    try {
+      results.set(filename, await analyzeFile(filename, dir));
+    } catch (error) {
+      // Babel prefixes the message with the file name
+      const message = error.message.split('\n')[0].replace(`${filename}: `, '');
+      errors.push({ file: toRelative(dir, filename), message });
+    }
+  }
+  
+  // Resolve imports to the analyzed files only; packages are out of scope
+  results.forEach(result => {
+    result.dependencies = result.imports
+      .map(source => resolveImport(source, result.filename))
+      .filter(resolved => resolved && results.has(resolved));
+  });
+  
+  const routes = [];
+  
+  results.forEach(result => {
+    const route = getRouteFromEntry(getEntryName(dir, result.filename));
+    if (!route) return;
+    
+    const reached = collectDependencies(
+      [result.filename, ...getWrapperFiles(dir, result.filename, results)],
+      results
+    );
+    const stats = summarize(reached.map(filename => results.get(filename)));
+    
+    routes.push({ route, file: result.file, files: reached.length, ...stats });
+  });
+  
+  routes.sort((a, b) => a.route.localeCompare(b.route) || a.file.localeCompare(b.file));
+  
+  const fileReports = Array.from(results.values())
+    .map(result => ({ file: result.file, ...summarize([result]), diagnostics: result.diagnostics }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+  
+  return {
+    dir,
+    ...summarize(Array.from(results.values())),
+    routes,
+    files: fileReports,
+    errors
+  };
+}
+
+/**
+ * Run the Babel plugin over a file and collect what it found
+ */
+async function analyzeFile(filename, dir) {
+  const source = fs.readFileSync(filename, 'utf8');
+  const extension = path.extname(filename);
+  const parserPlugins = {
+    '.ts': ['typescript'],
+    '.tsx': ['jsx', 'typescript']
+  }[extension] || ['jsx'];
+  
+  const result = await babel.transformAsync(source, {
+    filename,
+    root: dir,
+    cwd: dir,
+    babelrc: false,
+    configFile: false,
+    sourceType: 'unambiguous',
+    parserOpts: { plugins: parserPlugins },
+    // collectMetadata keeps the plugin from logging its diagnostics
+    plugins: [[require.resolve('../babel/plugin'), { collectMetadata: true, sourceLocations: false }]],
+    ast: true,
+    code: false
+  });
+  
+  const file = toRelative(dir, filename);
+  const components = result.metadata.aiComponents || [];
+  const targets = result.metadata.aiTargets || [];
+  const diagnostics = result.metadata.aiDiagnostics || [];
+  
+  const documentedComponents = new Set(
+    components.filter(component => component.description || component.intent).map(component => component.name)
+  );
+  
+  const interactive = targets.filter(target => target.action);
+  const forms = targets.filter(target => target.element === 'form');
+  
+  return {
+    filename,
+    file,
+    imports: collectImports(result.ast),
+    components: components.length,
+    interactive: interactive.length,
+    unnamedComponents: interactive.filter(target => target.component === 'unknown').length,
+    forms: forms.length,
+    undocumentedForms: forms.filter(form => !form.description && !documentedComponents.has(form.component)).length,
+    missingLabels: diagnostics.filter(diagnostic => LABEL_CODES.includes(diagnostic.code)).length,
+    otherIssues: diagnostics.filter(diagnostic => !LABEL_CODES.includes(diagnostic.code)).length,
+    diagnostics: diagnostics.map(diagnostic => ({ file, ...diagnostic }))
+  };
+}
+
+/**
+ * Add up the statistics of files and score them. Every interactive element
+ * should have a name and be rendered by a named component, and every form
+ * should be documented; the score is the share of these checks that pass,
+ * with each other diagnostic counting as a failed check.
+ *
+ * @param {Array<Object>} results - Results of analyzeFile
+ * @returns {Object} Totals and a score from 0 to 100
+ */
+function summarize(results) {
+  const totals = {
+    components: 0,
+    interactive: 0,
+    missingLabels: 0,
+    unnamedComponents: 0,
+    forms: 0,
+    undocumentedForms: 0,
+    otherIssues: 0
+  };
+  
+  results.forEach(result => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += result[key];
+    });
+  });
+  
+  const checks = totals.interactive * 2 + totals.forms + totals.otherIssues;
+  const passed = Math.max(0, totals.interactive - totals.missingLabels) +
+    (totals.interactive - totals.unnamedComponents) +
+    (totals.forms - totals.undocumentedForms);
+  
+  return {
+    score: checks === 0 ? 100 : Math.round((passed / checks) * 100),
+    issues: totals.missingLabels + totals.otherIssues + totals.unnamedComponents + totals.undocumentedForms,
+    ...totals
+  };
+}
+
+/**
+ * Collect the modules a file imports, re-exports or imports dynamically
+ */
+function collectImports(ast) {
+  const imports = new Set();
+  
+  babel.types.traverseFast(ast, node => {
+    if (
+      (babel.types.isImportDeclaration(node) && node.importKind !== 'type') ||
+      babel.types.isExportNamedDeclaration(node) ||
+      babel.types.isExportAllDeclaration(node)
+    ) {
+      if (node.source) imports.add(node.source.value);
+    } else if (
+      babel.types.isCallExpression(node) &&
+      babel.types.isImport(node.callee) &&
+      babel.types.isStringLiteral(node.arguments[0])
+    ) {
+      imports.add(node.arguments[0].value);
+    }
+  });
+  
+  return Array.from(imports);
+}
+
+/**
+ * Find the files reachable from some files through their imports
+ */
+function collectDependencies(entries, results) {
+  const reached = new Set();
+  const queue = [...entries];
+  
+  while (queue.length > 0) {
+    const filename = queue.shift();
+    if (reached.has(filename)) continue;
+    
+    reached.add(filename);
+    queue.push(...results.get(filename).dependencies);
+  }
+  
+  return Array.from(reached);
+}
+
+/**
+ * Get the files that wrap a page: the layouts and templates of the folders
+ * above an App Router page, or pages/_app
+ */
+function getWrapperFiles(dir, filename, results) {
+  const root = toRelative(dir, filename).startsWith('src/') ? path.join(dir, 'src') : dir;
+  const candidates = [];
+  
+  if (getEntryName(dir, filename).startsWith('pages/')) {
+    candidates.push(path.join(root, 'pages', '_app'));
+  } else {
+    const appRoot = path.join(root, 'app');
+    
+    for (let folder = path.dirname(filename); folder.startsWith(appRoot); folder = path.dirname(folder)) {
+      candidates.push(path.join(folder, 'layout'), path.join(folder, 'template'));
+    }
+  }
+  
+  return candidates
+    .map(candidate => resolveFile(candidate))
+    .filter(resolved => resolved && results.has(resolved));
+}
+
+/**
+ * Create a function resolving import sources to files, following relative
+ * paths and the `paths` aliases of tsconfig.json or jsconfig.json
+ */
+function createImportResolver(dir) {
+  const { baseUrl = '.', paths = {} } = readCompilerOptions(dir);
+  const base = path.resolve(dir, baseUrl);
+  
+  return (source, importer) => {
+    if (source.startsWith('.')) {
+      return resolveFile(path.resolve(path.dirname(importer), source));
+    }
+    
+    for (const [pattern, targets] of Object.entries(paths)) {
+      const prefix = pattern.replace(/\*$/, '');
+      const matches = pattern.endsWith('*') ? source.startsWith(prefix) : source === pattern;
+      if (!matches) continue;
+      
+      for (const target of targets) {
+        const resolved = resolveFile(path.resolve(base, target.replace('*', source.slice(prefix.length))));
+        if (resolved) return resolved;
+      }
+    }
+    
+    return null;
+  };
+}
+
+/**
+ * Read compilerOptions from tsconfig.json or jsconfig.json, which may have
+ * comments and trailing commas
+ */
+function readCompilerOptions(dir) {
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    const configPath = path.join(dir, name);
+    if (!fs.existsSync(configPath)) continue;
+    
+    const text = fs.readFileSync(configPath, 'utf8');
+    
+    try {
+      return JSON.parse(text).compilerOptions || {};
+    } catch (error) {
+      try {
+        const stripped = text
+          .replace(/\/\*[\s\S]*?\*\//g, '')
+          .replace(/^\s*\/\/.*$/gm, '')
+          .replace(/,(\s*[}\]])/g, '$1');
+        
+        return JSON.parse(stripped).compilerOptions || {};
+      } catch (strippedError) {
+        return {};
+      }
+    }
+  }
+  
+  return {};
+}
+
+/**
+ * Resolve a path without extension, or a folder with an index file
+ */
+function resolveFile(base) {
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(extension => base + extension),
+    ...SOURCE_EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+  ];
+  
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * List the source files in app/, pages/ and components/, at the project
+ * root and under src/
+ */
+function findSourceFiles(dir) {
+  const files = [];
+  
+  const walk = folder => {
+    fs.readdirSync(folder, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(folder, entry.name);
+      
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) walk(entryPath);
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !IGNORED_FILE.test(entry.name)) {
+        files.push(entryPath);
+      }
+    });
+  };
+  
+  ['', 'src'].forEach(parent => {
+    SOURCE_DIRS.forEach(name => {
+      const folder = path.join(dir, parent, name);
+      if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) walk(folder);
+    });
+  });
+  
+  return files.sort();
+}
+
+/**
+ * Get the Next.js entry name of a file, e.g. `app/shop/page` for src/app/shop/page.tsx
+ */
+function getEntryName(dir, filename) {
+  return toRelative(dir, filename)
+    .replace(/^src\//, '')
+    .replace(/\.[jt]sx?$/, '');
+}
+
+/**
+ * Get a file's path relative to the project, with forward slashes
+ */
+function toRelative(dir, filename) {
+  return path.relative(dir, filename).split(path.sep).join('/');
+}
+
+/**
+ * Format a report for the terminal
+ * @param {Object} report - Result of auditProject
+ * @returns {string} The formatted report
+ */
+function formatAuditReport(report) {
+  const lines = [`Agent readiness: ${report.score}/100 (${report.dir})`, ''];
+  
+  const columns = [
+    ['Route', route => route.route],
+    ['Score', route => String(route.score)],
+    ['Interactive', route => String(route.interactive)],
+    ['Missing labels', route => String(route.missingLabels)],
+    ['Unnamed', route => String(route.unnamedComponents)],
+    ['Undocumented forms', route => `${route.undocumentedForms}/${route.forms}`]
+  ];
+  
+  if (report.routes.length === 0) {
+    lines.push('No routes found in app/ or pages/.');
+  } else {
+    const rows = [
+      columns.map(([title]) => title),
+      ...report.routes.map(route => columns.map(([, value]) => value(route)))
+    ];
+    const widths = columns.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+    
+    rows.forEach(row => {
+      lines.push(row.map((cell, index) => index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])).join('  '));
+    });
+  }
+  
+  const issues = report.files.flatMap(file => file.diagnostics);
+  
+  if (issues.length > 0) {
+    lines.push('', 'Issues:');
+    issues.forEach(issue => {
+      const location = issue.line ? `${issue.file}:${issue.line}:${issue.column}` : issue.file;
+      lines.push(`  ${location} ${issue.message} (${issue.code})`);
+    });
+  }
+  
+  const unnamed = report.files.filter(file => file.unnamedComponents > 0);
+  const undocumented = report.files.filter(file => file.undocumentedForms > 0);
+  
+  if (unnamed.length > 0) {
+    lines.push('', 'Interactive elements outside a named component:');
+    unnamed.forEach(file => lines.push(`  ${file.file} (${file.unnamedComponents})`));
+  }
+  
+  if (undocumented.length > 0) {
+    lines.push('', 'Forms without a description (JSDoc, @ai-intent or data-ai-description):');
+    undocumented.forEach(file => lines.push(`  ${file.file} (${file.undocumentedForms})`));
+  }
+  
+  if (report.errors.length > 0) {
+    lines.push('', 'Files that could not be parsed:');
+    report.errors.forEach(error => lines.push(`  ${error.file}: ${error.message}`));
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  auditProject,
+  formatAuditReport
+};
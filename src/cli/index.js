@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// src/cli/index.js
+const fs = require('fs');
+const path = require('path');
+const { auditProject, formatAuditReport } = require('./audit');
+
+const USAGE = `Usage: next-ai-optimizer audit [dir] [options]
+
+Report the agent readiness of a Next.js project's app/, pages/ and
+components/ sources, per route, without building it.
+
+Options:
+  --json              Print the report as JSON
+  --min-score <n>     Exit with 1 when the overall score is below n (0-100)
+  --max-issues <n>    Exit with 1 when there are more than n issues
+  -h, --help          Show this message`;
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Command line arguments, without node and the script
+ * @returns {Promise<number>} The exit code: 0 on success, 1 when a threshold
+ *   is not met, 2 on usage errors
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  
+  if (!command || command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return command ? 0 : 2;
+  }
+  
+  if (command !== 'audit') {
+    console.error(`[AI Optimizer] Unknown command "${command}".\n\n${USAGE}`);
+    return 2;
+  }
+  
+  let options;
+  try {
+    options = parseAuditArgs(rest);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  if (!fs.existsSync(options.dir) || !fs.statSync(options.dir).isDirectory()) {
+    console.error(`[AI Optimizer] ${options.dir} is not a directory`);
+    return 2;
+  }
+  
+  const report = await auditProject(options.dir);
+  const failures = [];
+  
+  if (options.minScore !== null && report.score < options.minScore) {
+    failures.push(`score ${report.score} is below --min-score ${options.minScore}`);
+  }
+  
+  if (options.maxIssues !== null && report.issues > options.maxIssues) {
+    failures.push(`${report.issues} issues exceed --max-issues ${options.maxIssues}`);
+  }
+  
+  if (options.json) {
+    console.log(JSON.stringify({ ...report, passed: failures.length === 0 }, null, 2));
+  } else {
+    console.log(formatAuditReport(report));
+    
+    if (failures.length > 0) {
+      console.log(`\nFailed: ${failures.join(', ')}`);
+    }
+  }
+  
+  return failures.length > 0 ? 1 : 0;
+}
+
+/**
+ * Parse the arguments of the audit command
+ * @throws {Error} On unknown options and invalid values
+ */
+function parseAuditArgs(args) {
+  const options = { dir: null, json: false, minScore: null, maxIssues: null, help: false };
+  const queue = [...args];
+  
+  while (queue.length > 0) {
+    const arg = queue.shift();
+    const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    
+    if (name === '--json') {
+      options.json = true;
+    } else if (name === '-h' || name === '--help') {
+      options.help = true;
+    } else if (name === '--min-score' || name === '--max-issues') {
+      const value = inlineValue !== undefined ? inlineValue : queue.shift();
+      const number = Number(value);
+      
+      if (value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+        throw new Error(`[AI Optimizer] ${name} needs a number, e.g. ${name} 80`);
+      }
+      
+      options[name === '--min-score' ? 'minScore' : 'maxIssues'] = number;
+    } else if (!arg.startsWith('-') && options.dir === null) {
+      options.dir = arg;
+    } else {
+      throw new Error(`[AI Optimizer] Unknown option "${arg}"`);
+    }
+  }
+  
+  options.dir = path.resolve(options.dir || '.');
+  return options;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    code => {
+      process.exitCode = code;
+    },
+    error => {
+      console.error(error.stack || error.message);
+      process.exitCode = 2;
+    }
+  );
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,4 @@
+// src/index.d.ts
+export { withAIOptimizer, AIOptimizerOptions, AIOptimizationLevel, AIComponentMapping, AILlmsOptions } from './next/config';
+
+export const babelPlugin: (...args: any[]) => any;
@@ -0,0 +1,100 @@
+// src/next/config.d.ts
+import type { NextConfig } from 'next';
+
+export type AIOptimizationLevel = 'basic' | 'standard' | 'advanced';
+
+export interface AIComponentMapping {
+  /** What the component does, e.g. `click`, `input` or `navigate` */
+  action: string;
+  inputType?: string;
+  /** Prop holding the input type, e.g. `type` */
+  inputTypeProp?: string;
+  /** Prop holding the destination, emitted as data-ai-href */
+  hrefProp?: string;
+  description?: string;
+}
+
+export interface AILlmsOptions {
+  /**
+   * Heading of llms.txt
+   * @default The name in package.json
+   */
+  title?: string;
+  /** Summary of the site, quoted under the heading */
+  description?: string;
+  /**
+   * Directory llms.txt and llms/ are written to, relative to the project root
+   * @default 'public'
+   */
+  outputDir?: string;
+  /** Title and description of routes, keyed by route such as `/blog/[slug]` */
+  routes?: Record<string, { title?: string; description?: string }>;
+}
+
+export interface AIOptimizerOptions {
+  /**
+   * Which builds are optimized. `OPTIMIZE_FOR_AI=true` enables both and
+   * `OPTIMIZE_FOR_AI=false` neither.
+   * @default ['production']
+   */
+  environments?: Array<'development' | 'production'>;
+  /**
+   * How much the Babel plugin adds. Overridden by `AI_OPTIMIZATION_LEVEL`.
+   * @default 'standard'
+   */
+  level?: AIOptimizationLevel;
+  /** Globs of files to optimize, relative to the project root */
+  include?: string[];
+  /** Globs of files to leave untouched */
+  exclude?: string[];
+  /**
+   * Prefix of the attributes the optimizer reads and writes
+   * @default 'data-ai-'
+   */
+  attributePrefix?: `data-${string}-`;
+  /**
+   * Serve the window.AIHelper script for <AIHead>. The runtime helpers only
+   * read data-ai- attributes, so a custom attributePrefix needs `false`
+   * @default true
+   */
+  helper?: boolean;
+  /**
+   * Where to write the build manifest, relative to the project root, or
+   * `false` to skip it
+   * @default '<distDir>/ai-manifest.json'
+   */
+  manifestPath?: string | false;
+  /**
+   * Report agent-readiness diagnostics as errors instead of warnings
+   * @default false
+   */
+  strict?: boolean;
+  /**
+   * Emit data-ai-source in development builds, including those that
+   * `environments` does not optimize
+   * @default true
+   */
+  sourceLocations?: boolean;
+  /** Semantics of design-system components, keyed by import source and export name */
+  componentMappings?: Record<string, Record<string, AIComponentMapping>>;
+  /**
+   * Write llms.txt and a Markdown summary of each route on next build
+   * @default false
+   */
+  llms?: boolean | AILlmsOptions;
+}
+
+/**
+ * The route helpers, also exported here. Import them from
+ * `next-ai-optimizer/route`, which keeps the build-time modules out of the
+ * route's bundle.
+ */
+export {
+  createAIAgentRoute,
+  createAIAgentApiHandler,
+  createAILiveManifestRoute,
+  createAILiveManifestApiHandler
+} from './route';
+export type { AIAgentRouteOptions } from './route';
+
+export function withAIOptimizer(nextConfig?: NextConfig, options?: AIOptimizerOptions): NextConfig;
@@ -1,213 +1,372 @@
 // src/next/config.js
 const path = require('path');
+const { AIManifestPlugin, MANIFEST_FILENAME } = require('./manifest');
+const { AIDiagnosticsPlugin } = require('./diagnostics');
+const { withTurbopackRules } = require('./turbopack');
+const { AIHelperPlugin, getHelperUrl, HELPER_ENV } = require('./helper');
+const { resolveOptions } = require('./options');
+const { MANIFEST_ENV } = require('./route');
+const { AILlmsPlugin } = require('./llms');
+const { AILiveManifestPlugin } = require('./live');
 
 /**
  * Helper function to create a Next.js config with AI optimization
  * @param {Object} nextConfig - The existing Next.js configuration
+ * @param {Object} [aiOptions] - AI optimizer options
+ * @param {Array<string>} [aiOptions.environments] - Optimize `production` builds, `development` or both (default `['production']`)
+ * @param {string} [aiOptions.level] - `basic`, `standard` (default) or `advanced`
+ * @param {Array<string>} [aiOptions.include] - Globs of files to optimize
+ * @param {Array<string>} [aiOptions.exclude] - Globs of files to leave untouched
+ * @param {string} [aiOptions.attributePrefix] - Prefix of the generated attributes (default `data-ai-`)
+ * @param {boolean} [aiOptions.helper] - Serve window.AIHelper for <AIHead> (default true)
+ * @param {string|false} [aiOptions.manifestPath] - Where to write ai-manifest.json, or false to skip it
+ * @param {boolean} [aiOptions.strict] - Fail the build on agent-readiness diagnostics
+ * @param {boolean} [aiOptions.sourceLocations] - Emit data-ai-source in next dev, optimized or not (default true)
+ * @param {Object} [aiOptions.componentMappings] - Semantics of design-system components
+ * @param {boolean|Object} [aiOptions.llms] - Write llms.txt and per-route Markdown summaries
  * @returns {Object} Enhanced Next.js configuration
  */
-function withAIOptimizer(nextConfig = {}) {
-  return {
+function withAIOptimizer(nextConfig = {}, aiOptions = {}) {
+  // Fail on invalid options as soon as the config loads
+  const options = resolveOptions(aiOptions);
+  
+  const webpackConfig = {
     ...nextConfig,
     // Preserve existing webpack config if present
-    webpack: (config, options) => {
+    webpack: (config, webpackOptions) => {
       const updatedConfig = nextConfig.webpack ? 
-        nextConfig.webpack(config, options) : 
+        nextConfig.webpack(config, webpackOptions) : 
         config;
       
       // Add our AI optimization
-      return enhanceWithAIOptimization(updatedConfig, options);
+      return enhanceWithAIOptimization(updatedConfig, webpackOptions, options);
     }
   };
+  
+  // Next.js sets NODE_ENV before loading the config, for next dev and next build
+  const dev = process.env.NODE_ENV !== 'production';
+  const mode = getMode(options, dev);
+  
+  if (!mode) {
+    return webpackConfig;
+  }
+  
+  // Turbopack has no plugins, so diagnostics are logged by the Babel plugin
+  const [, pluginOptions] = getBabelPluginEntry({ dev }, options, mode);
+  const turbopackOptions = { ...pluginOptions, collectMetadata: false, strict: options.strict };
+  
+  if (mode === 'source-locations') {
+    return withTurbopackRules(webpackConfig, turbopackOptions);
+  }
+  
+  // <AIHead> renders on the server, which loads this config too. Turbopack
+  // has no plugins to emit the helper, so the provider's inline copy is used.
+  if (options.helper && !process.env.TURBOPACK) {
+    process.env[HELPER_ENV] = getHelperUrl(nextConfig);
+  }
+  
+  // Tell the /.well-known/ai-agent.json route where the manifest is
+  const manifestPath = getManifestPath(process.cwd(), nextConfig, options);
+  if (manifestPath) {
+    process.env[MANIFEST_ENV] = manifestPath;
+  }
+  
+  return withTurbopackRules(webpackConfig, turbopackOptions);
 }
 
 /**
  * Function to enhance webpack config with AI optimization
  * @param {Object} config - Webpack configuration
  * @param {Object} options - Next.js webpack options
+ * @param {Object} aiOptions - Resolved AI optimizer options
  * @returns {Object} Enhanced webpack configuration
  */
-function enhanceWithAIOptimization(config, { dev }) {
-  // Only apply in production builds or when specifically requested
-  const shouldOptimize = !dev || process.env.OPTIMIZE_FOR_AI === 'true';
+function enhanceWithAIOptimization(config, {
+  dev,
+  isServer,
+  nextRuntime,
+  dir = process.cwd(),
+  config: nextConfig = {}
+}, aiOptions) {
+  const mode = getMode(aiOptions, dev);
   
-  if (shouldOptimize) {
-    // Find the babel loader rule
-    const jsRule = findBabelRule(config);
+  if (mode) {
+    // Babel-compiled apps get our plugin added to babel-loader; SWC apps
+    // (the default since Next.js 12) get our loader run before next-swc-loader
+    const pluginEntry = getBabelPluginEntry({ dev }, aiOptions, mode);
+    const compilerRules = findCompilerRules(config.module.rules);
+    
+    compilerRules.forEach(rule => addToRule(rule, pluginEntry));
     
-    if (jsRule) {
-      addBabelPlugin(jsRule);
-    } else {
-      console.warn('[AI Optimizer] Could not find suitable babel rule in webpack config');
+    if (compilerRules.length === 0) {
+      console.warn('[AI Optimizer] Could not find a babel-loader or next-swc-loader rule in webpack config');
     }
+  }
+  
+  if (mode === 'optimize') {
+    // Serve the AIHelper script as a static asset for <AIHead>
+    if (aiOptions.helper && !isServer) {
+      config.plugins.push(new AIHelperPlugin());
+    }
+    
+    // Collect component metadata into ai-manifest.json. The Node.js server
+    // compilation sees every page, so it is the one that writes the file
+    // and reports diagnostics, once per build.
+    const isNodeServer = Boolean(isServer) && nextRuntime !== 'edge';
+    
+    config.plugins.push(new AIManifestPlugin({
+      dir,
+      manifestPath: getManifestPath(dir, nextConfig, aiOptions),
+      emit: isNodeServer
+    }));
+    
+    config.plugins.push(new AIDiagnosticsPlugin({
+      dir,
+      strict: aiOptions.strict,
+      report: isNodeServer
+    }));
     
-    // Add HTML metadata through webpack plugins
-    config.plugins.push(new EnhanceHTMLPlugin());
+    // Crawlers read llms.txt from production deployments only
+    if (aiOptions.llms && isNodeServer && !dev) {
+      config.plugins.push(new AILlmsPlugin({
+        dir,
+        basePath: nextConfig.basePath,
+        llms: aiOptions.llms
+      }));
+    }
+    
+    // Keep an in-memory manifest that follows hot reloads
+    if (isNodeServer && dev) {
+      config.plugins.push(new AILiveManifestPlugin({ dir }));
+    }
   }
   
   return config;
 }
 
 /**
- * Find the babel loader rule in the webpack config
- * @param {Object} config - Webpack configuration
- * @returns {Object|null} The babel rule if found
+ * Decide what the optimizer does in this kind of build. next dev builds
+ * that `environments` leaves out still get source locations.
+ * @param {Object} aiOptions - Resolved AI optimizer options
+ * @param {boolean} dev - Whether this is next dev
+ * @returns {'optimize'|'source-locations'|null} `optimize` to run the
+ *   optimizer, `source-locations` to only add data-ai-source, or null
  */
-function findBabelRule(config) {
-  // Different versions of Next.js have different webpack configurations
-  // Try to find the rule that handles JSX/TSX files
-  
-  const jsxRule = config.module.rules.find(
-    rule => rule.test && (
-      rule.test.toString().includes('jsx') || 
-      rule.test.toString().includes('tsx')
-    )
-  );
-  
-  if (jsxRule) {
-    return jsxRule;
+function getMode(aiOptions, dev) {
+  if (aiOptions.environments.includes(dev ? 'development' : 'production')) {
+    return 'optimize';
   }
   
-  // Look deeper in oneOf rules (Next.js 12+ structure)
-  for (const rule of config.module.rules) {
-    if (rule.oneOf) {
-      const jsxOneOfRule = rule.oneOf.find(
-        r => r.test && (
-          r.test.toString().includes('jsx') || 
-          r.test.toString().includes('tsx')
-        )
-      );
-      
-      if (jsxOneOfRule) {
-        return jsxOneOfRule;
-      }
-    }
-  }
+  return dev && aiOptions.sourceLocations ? 'source-locations' : null;
+}
+
+/**
+ * Get the absolute path of ai-manifest.json, or null when it is turned off
+ */
+function getManifestPath(dir, nextConfig, aiOptions) {
+  if (aiOptions.manifestPath === false) return null;
   
-  return null;
+  return aiOptions.manifestPath
+    ? path.resolve(dir, aiOptions.manifestPath)
+    : path.join(dir, nextConfig.distDir || '.next', MANIFEST_FILENAME);
 }
 
 /**
- * Add our babel plugin to the rule
- * @param {Object} rule - Webpack rule
+ * Find the rules that compile JSX/TSX with babel-loader or next-swc-loader,
+ * including those nested in `oneOf` (Next.js 12+ structure). Next.js has
+ * one such rule per layer (pages, server components, client components...).
+ * @param {Array<Object>} rules - Webpack rules
+ * @param {Array<Object>} [found] - Rules found so far
+ * @returns {Array<Object>} The compiler rules
  */
-function addBabelPlugin(rule) {
-  // The structure can vary based on Next.js version
-  // Try to handle the most common cases
-  
-  if (rule.use && Array.isArray(rule.use)) {
-    // Find babel-loader
-    const babelLoader = rule.use.find(
-      loader => (
-        (typeof loader === 'object' && loader.loader && 
-          (loader.loader.includes('babel-loader') || loader.loader.includes('next-babel-loader'))) ||
-        (typeof loader === 'string' && 
-          (loader.includes('babel-loader') || loader.includes('next-babel-loader')))
-      )
-    );
+function findCompilerRules(rules, found = []) {
+  (rules || []).forEach(rule => {
+    // Rule lists may contain '...' and falsy placeholders
+    if (!rule || typeof rule !== 'object') return;
     
-    if (babelLoader && typeof babelLoader === 'object') {
-      if (!babelLoader.options) {
-        babelLoader.options = {};
-      }
-      
-      if (!babelLoader.options.plugins) {
-        babelLoader.options.plugins = [];
-      }
-      
-      babelLoader.options.plugins.push([
-        require.resolve('../babel/plugin'),
-        {
-          optimizationLevel: process.env.AI_OPTIMIZATION_LEVEL || 'standard'
-        }
-      ]);
+    if (rule.oneOf) {
+      findCompilerRules(rule.oneOf, found);
     }
-  } else if (rule.use && rule.use.loader && 
-            (rule.use.loader.includes('babel-loader') || rule.use.loader.includes('next-babel-loader'))) {
-    // Direct loader object
-    if (!rule.use.options) {
-      rule.use.options = {};
+    
+    if (rule.rules) {
+      findCompilerRules(rule.rules, found);
     }
     
-    if (!rule.use.options.plugins) {
-      rule.use.options.plugins = [];
+    if (getRuleLoaders(rule).some(loader => isBabelLoader(loader) || isSwcLoader(loader))) {
+      found.push(rule);
     }
+  });
+  
+  return found;
+}
+
+/**
+ * Add the optimizer to a compiler rule
+ * @param {Object} rule - Webpack rule
+ * @param {Array} pluginEntry - Babel plugin path and options
+ */
+function addToRule(rule, pluginEntry) {
+  // The structure can vary based on Next.js version
+  if (rule.loader) {
+    // { loader, options } shorthand
+    rule.use = [{ loader: rule.loader, options: rule.options }];
+    delete rule.loader;
+    delete rule.options;
+  } else if (!Array.isArray(rule.use)) {
+    rule.use = [rule.use];
+  }
+  
+  // A layer compiled with both runs Babel first, so the plugin goes there
+  const babelLoader = rule.use.find(isBabelLoader);
+  
+  if (babelLoader) {
+    addBabelPlugin(rule, babelLoader, pluginEntry);
     
-    rule.use.options.plugins.push([
-      require.resolve('../babel/plugin'),
-      {
-        optimizationLevel: process.env.AI_OPTIMIZATION_LEVEL || 'standard'
-      }
-    ]);
+    // Source locations do not need the imports of form actions
+    if (!pluginEntry[1].sourceLocationsOnly) {
+      addOptimizerLoader(rule, isBabelLoader, { resolveOnly: true });
+    }
+  } else {
+    addOptimizerLoader(rule, isSwcLoader, pluginEntry[1]);
   }
 }
 
 /**
- * Webpack plugin to enhance HTML with AI metadata
+ * Add our babel plugin to a rule's babel-loader
+ * @param {Object} rule - Webpack rule
+ * @param {Object|string} babelLoader - The babel-loader entry in rule.use
+ * @param {Array} pluginEntry - Babel plugin path and options
  */
-class EnhanceHTMLPlugin {
-  apply(compiler) {
-    // This plugin will add the data-ai-optimized attribute to the HTML document
-    if (compiler.hooks && compiler.hooks.compilation) {
-      compiler.hooks.compilation.tap('EnhanceHTMLPlugin', (compilation) => {
-        // Check if HtmlWebpackPlugin is being used
-        if (compilation.hooks.htmlWebpackPluginAfterHtmlProcessing) {
-          compilation.hooks.htmlWebpackPluginAfterHtmlProcessing.tapAsync(
-            'EnhanceHTMLPlugin',
-            (data, callback) => {
-              // Add data-ai-optimized attribute to html tag
-              data.html = data.html.replace(
-                '<html',
-                '<html data-ai-optimized="true"'
-              );
-              
-              // Add AI helper script before closing body tag
-              const helperScript = `
-                <script>
-                  (function() {
-                    window.AIHelper = {
-                      findElement(targetOrDescription) {
-                        // Find by exact target
-                        let element = document.querySelector(\`[data-ai-target="\${targetOrDescription}"]\`);
-                        
-                        // If not found, try matching description
-                        if (!element) {
-                          element = document.querySelector(\`[data-ai-description*="\${targetOrDescription}"]\`);
-                        }
-                        
-                        return element;
-                      },
-                      
-                      getInteractiveElements() {
-                        return Array.from(document.querySelectorAll('[data-ai-action]')).map(el => ({
-                          target: el.getAttribute('data-ai-target'),
-                          action: el.getAttribute('data-ai-action'),
-                          description: el.getAttribute('data-ai-description'),
-                          text: el.textContent?.trim(),
-                          tagName: el.tagName.toLowerCase(),
-                          visible: !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length),
-                          interactable: !el.disabled
-                        }));
-                      }
-                    };
-                  })();
-                </script>
-              `;
-              
-              data.html = data.html.replace(
-                '</body>',
-                `${helperScript}</body>`
-              );
-              
-              callback(null, data);
-            }
-          );
-        }
-      });
-    }
+function addBabelPlugin(rule, babelLoader, pluginEntry) {
+  let loader = babelLoader;
+  
+  if (typeof loader === 'string') {
+    loader = { loader };
+    rule.use[rule.use.indexOf(babelLoader)] = loader;
+  }
+  
+  if (!loader.options) {
+    loader.options = {};
+  }
+  
+  if (!loader.options.plugins) {
+    loader.options.plugins = [];
+  }
+  
+  // Next.js shares one loader object between several rules
+  if (!loader.options.plugins.some(plugin => Array.isArray(plugin) && plugin[0] === pluginEntry[0])) {
+    loader.options.plugins.push(pluginEntry);
   }
 }
 
+/**
+ * Run our loader before next-swc-loader or babel-loader. Webpack applies
+ * loaders from last to first, so it goes right after it in rule.use.
+ * Ahead of babel-loader, it only resolves the imports of form actions for
+ * the plugin.
+ * @param {Object} rule - Webpack rule
+ * @param {function(Object): boolean} isCompiler - Matches the loader to run before
+ * @param {Object} loaderOptions - Babel plugin options, or `{ resolveOnly: true }`
+ */
+function addOptimizerLoader(rule, isCompiler, loaderOptions) {
+  const loaderPath = require.resolve('./loader');
+  
+  // Next.js shares loader lists between several rules
+  if (rule.use.some(loader => getLoaderName(loader) === loaderPath)) return;
+  
+  const compilerIndex = rule.use.findIndex(isCompiler);
+  
+  rule.use.splice(compilerIndex + 1, 0, {
+    loader: loaderPath,
+    options: loaderOptions
+  });
+}
+
+/**
+ * List the loaders a rule uses
+ */
+function getRuleLoaders(rule) {
+  if (rule.loader) return [rule.loader];
+  if (Array.isArray(rule.use)) return rule.use;
+  return rule.use ? [rule.use] : [];
+}
+
+/**
+ * Get a loader's name from a string or `{ loader }` entry
+ */
+function getLoaderName(loader) {
+  if (typeof loader === 'string') return loader;
+  return loader && typeof loader.loader === 'string' ? loader.loader : '';
+}
+
+/**
+ * Check for babel-loader, or the babel loader Next.js uses with a .babelrc
+ */
+function isBabelLoader(loader) {
+  const name = getLoaderName(loader);
+  return name.includes('babel-loader') || name.includes('next-babel-loader') ||
+    /[\\/]next[\\/]dist[\\/]build[\\/]babel[\\/]loader/.test(name);
+}
+
+/**
+ * Check for the SWC loader Next.js uses by default
+ */
+function isSwcLoader(loader) {
+  return getLoaderName(loader).includes('next-swc-loader');
+}
+
+/**
+ * Create the babel plugin entry with the options the Next integration needs
+ * @param {Object} options - Next.js webpack options
+ * @param {Object} aiOptions - Resolved AI optimizer options
+ * @param {string} mode - What the optimizer does, from getMode
+ * @returns {Array} Plugin path and options
+ */
+function getBabelPluginEntry({ dev }, aiOptions, mode) {
+  if (mode === 'source-locations') {
+    return [
+      require.resolve('../babel/plugin'),
+      {
+        include: aiOptions.include,
+        exclude: aiOptions.exclude,
+        attributePrefix: aiOptions.attributePrefix,
+        sourceLocationsOnly: true,
+        sourceLocations: true
+      }
+    ];
+  }
+  
+  return [
+    require.resolve('../babel/plugin'),
+    {
+      optimizationLevel: aiOptions.level,
+      include: aiOptions.include,
+      exclude: aiOptions.exclude,
+      attributePrefix: aiOptions.attributePrefix,
+      componentMappings: aiOptions.componentMappings,
+      // Report per-file metadata for the build manifest
+      collectMetadata: true,
+      // data-ai-source is for debugging in next dev only
+      sourceLocations: Boolean(dev) && aiOptions.sourceLocations
+    }
+  ];
+}
+
 module.exports = {
   withAIOptimizer
-};
\ No newline at end of file
+};
+
+// The route helpers are also served from here, loaded when first used.
+// Route files should import next-ai-optimizer/route instead: this entry
+// brings Babel and the webpack integration into their bundle.
+[
+  'createAIAgentRoute',
+  'createAIAgentApiHandler',
+  'createAILiveManifestRoute',
+  'createAILiveManifestApiHandler'
+].forEach(name => {
+  Object.defineProperty(module.exports, name, {
+    enumerable: true,
+    get: () => require('./route')[name]
+  });
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+// src/next/diagnostics.js
+const path = require('path');
+const { formatDiagnostic } = require('../babel/diagnostics');
+
+const PLUGIN_NAME = 'AIDiagnosticsPlugin';
+
+/**
+ * Webpack plugin that reports the agent-readiness diagnostics found by the
+ * Babel plugin as compilation warnings, or as errors in strict mode
+ */
+class AIDiagnosticsPlugin {
+  /**
+   * @param {Object} options - Plugin options
+   * @param {string} options.dir - The Next.js project directory
+   * @param {boolean} options.strict - Report diagnostics as errors
+   * @param {boolean} options.report - Whether this compilation reports them
+   */
+  constructor({ dir, strict, report }) {
+    this.dir = dir;
+    this.strict = strict;
+    this.report = report;
+  }
+  
+  apply(compiler) {
+    if (!this.report) return;
+    
+    const { webpack } = compiler;
+    
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      // Runs after every module is built, so the manifest plugin has copied
+      // each module's metadata into its buildInfo, cached modules included
+      compilation.hooks.finishModules.tap(PLUGIN_NAME, (modules) => {
+        const findings = this.strict ? compilation.errors : compilation.warnings;
+        
+        for (const module of modules) {
+          const diagnostics = module.buildInfo?.aiOptimizer?.diagnostics;
+          if (!diagnostics || !module.resource) continue;
+          
+          const file = path.relative(this.dir, module.resource).split(path.sep).join('/');
+          
+          diagnostics.forEach(diagnostic => {
+            const error = new webpack.WebpackError(formatDiagnostic(file, diagnostic));
+            
+            error.name = this.strict ? 'AIOptimizerError' : 'AIOptimizerWarning';
+            error.module = module;
+            error.file = file;
+            error.hideStack = true;
+            
+            if (diagnostic.line) {
+              error.loc = {
+                start: { line: diagnostic.line, column: diagnostic.column }
+              };
+            }
+            
+            findings.push(error);
+          });
+        }
+      });
+    });
+  }
+}
+
+module.exports = {
+  AIDiagnosticsPlugin
+};
@@ -0,0 +1,50 @@
+// src/next/helper.js
+const { AI_HELPER_SCRIPT, getHelperFileName } = require('../utils/aiHelper');
+
+const PLUGIN_NAME = 'AIHelperPlugin';
+
+/**
+ * Environment variable that tells <AIHead> where the helper asset is served
+ */
+const HELPER_ENV = 'NEXT_AI_OPTIMIZER_HELPER';
+
+/**
+ * Webpack plugin that emits the window.AIHelper script as a static asset,
+ * served by Next.js at /_next/static/chunks/ai-helper-[hash].js
+ */
+class AIHelperPlugin {
+  apply(compiler) {
+    const { webpack } = compiler;
+    
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tap(
+        {
+          name: PLUGIN_NAME,
+          stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+        },
+        () => {
+          compilation.emitAsset(
+            `static/chunks/${getHelperFileName()}`,
+            new webpack.sources.RawSource(AI_HELPER_SCRIPT)
+          );
+        }
+      );
+    });
+  }
+}
+
+/**
+ * Get the URL the helper asset is served from
+ * @param {Object} nextConfig - Next.js configuration
+ * @returns {string} URL path, including the asset prefix or base path
+ */
+function getHelperUrl(nextConfig) {
+  const prefix = (nextConfig.assetPrefix || nextConfig.basePath || '').replace(/\/$/, '');
+  return `${prefix}/_next/static/chunks/${getHelperFileName()}`;
+}
+
+module.exports = {
+  AIHelperPlugin,
+  getHelperUrl,
+  HELPER_ENV
+};
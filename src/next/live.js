@@ -0,0 +1,298 @@
+// src/next/live.js
+// Also bundled into the app's routes, so it must not load the build-time modules
+const fs = require('fs');
+const path = require('path');
+const {
+  collectFiles,
+  assembleManifest,
+  getAllModules,
+  getModuleResource,
+  getRouteFromEntry
+} = require('./manifest');
+
+const PLUGIN_NAME = 'AILiveManifestPlugin';
+
+/**
+ * The live manifest lives on globalThis, so the compiler and route handlers
+ * bundled with their own copy of this module share it
+ */
+const LIVE_MANIFEST_KEY = Symbol.for('next-ai-optimizer.liveManifest');
+
+if (!globalThis[LIVE_MANIFEST_KEY]) {
+  globalThis[LIVE_MANIFEST_KEY] = {
+    files: new Map(),
+    revision: 0,
+    manifest: null,
+    listeners: new Set()
+  };
+}
+
+const live = globalThis[LIVE_MANIFEST_KEY];
+
+// Proxies close idle connections, so the event stream sends a comment now and then
+const KEEP_ALIVE_INTERVAL = 15000;
+
+const EVENT_STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-store',
+  Connection: 'keep-alive'
+};
+
+/**
+ * Webpack plugin that keeps the live manifest up to date during next dev.
+ * It runs after every compilation, including hot reloads.
+ */
+class AILiveManifestPlugin {
+  /**
+   * @param {Object} options - Plugin options
+   * @param {string} options.dir - The Next.js project directory
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+  
+  apply(compiler) {
+    compiler.hooks.done.tap(PLUGIN_NAME, (stats) => {
+      if (!stats.hasErrors()) {
+        updateLiveManifest(stats.compilation, this.dir);
+      }
+    });
+  }
+}
+
+/**
+ * Merge a compilation into the live manifest. next dev only compiles the
+ * pages that have been requested, so files that are not in this compilation
+ * keep their last metadata until they are deleted.
+ *
+ * @param {Object} compilation - Webpack compilation
+ * @param {string} dir - The Next.js project directory
+ * @returns {Array<{file: string, change: string}>} What changed
+ */
+function updateLiveManifest(compilation, dir) {
+  const compiled = collectFiles(compilation);
+  const compiledResources = new Set(getAllModules(compilation.modules).map(getModuleResource));
+  const compiledRoutes = new Set(
+    Array.from(compilation.entrypoints.keys()).map(getRouteFromEntry).filter(Boolean)
+  );
+  
+  const changes = [];
+  const toFile = resource => path.relative(dir, resource).split(path.sep).join('/');
+  
+  compiled.forEach(({ metadata, routes }, resource) => {
+    const previous = live.files.get(resource);
+    
+    // Keep the routes of pages this compilation did not include
+    const merged = new Set(routes);
+    (previous?.routes || []).forEach(route => {
+      if (!compiledRoutes.has(route)) merged.add(route);
+    });
+    
+    const entry = { metadata, routes: Array.from(merged).sort() };
+    
+    if (!previous) {
+      changes.push({ file: toFile(resource), change: 'added' });
+    } else if (JSON.stringify(previous) !== JSON.stringify(entry)) {
+      changes.push({ file: toFile(resource), change: 'updated' });
+    }
+    
+    live.files.set(resource, entry);
+  });
+  
+  // Files that no longer produce metadata, or no longer exist
+  Array.from(live.files.keys()).forEach(resource => {
+    const noMetadata = compiledResources.has(resource) && !compiled.has(resource);
+    
+    if (noMetadata || !fs.existsSync(resource)) {
+      live.files.delete(resource);
+      changes.push({ file: toFile(resource), change: 'removed' });
+    }
+  });
+  
+  if (changes.length > 0 || !live.manifest) {
+    live.revision += 1;
+    live.manifest = assembleManifest(live.files, dir);
+    
+    const event = { revision: live.revision, changes, manifest: live.manifest };
+    live.listeners.forEach(listener => listener(event));
+  }
+  
+  return changes;
+}
+
+/**
+ * Create an App Router route handler serving the live manifest in next dev.
+ * Put it in app/api/ai-manifest/route.js:
+ *
+ *   export const GET = createAILiveManifestRoute();
+ *
+ * A GET returns the current manifest. An EventSource (or any request that
+ * accepts text/event-stream) receives a `change` event after every
+ * recompilation that changed it.
+ *
+ * @returns {function(Request): Response} The GET handler
+ */
+function createAILiveManifestRoute() {
+  return function GET(request) {
+    const unavailable = getUnavailableResponse();
+    
+    if (unavailable) {
+      return createJsonResponse(unavailable.status, unavailable.body);
+    }
+    
+    if (!acceptsEventStream(request.headers.get('accept'))) {
+      return createJsonResponse(200, getLiveDocument());
+    }
+    
+    const encoder = new TextEncoder();
+    let close;
+    
+    const stream = new ReadableStream({
+      start(controller) {
+        close = openEventStream(chunk => controller.enqueue(encoder.encode(chunk)), () => {
+          try {
+            controller.close();
+          } catch (error) {
+            // Already closed by the client
+          }
+        });
+        
+        request.signal?.addEventListener('abort', close);
+      },
+      cancel() {
+        close();
+      }
+    });
+    
+    return new Response(stream, { headers: EVENT_STREAM_HEADERS });
+  };
+}
+
+/**
+ * Create a Pages Router API route serving the live manifest in next dev.
+ * Put it in pages/api/ai-manifest.js:
+ *
+ *   export default createAILiveManifestApiHandler();
+ *
+ * @returns {function(Object, Object): void} The API route handler
+ */
+function createAILiveManifestApiHandler() {
+  return function handler(req, res) {
+    const unavailable = getUnavailableResponse();
+    
+    res.setHeader('Cache-Control', 'no-store');
+    
+    if (unavailable) {
+      res.status(unavailable.status).json(unavailable.body);
+      return;
+    }
+    
+    if (!acceptsEventStream(req.headers.accept)) {
+      res.status(200).json(getLiveDocument());
+      return;
+    }
+    
+    res.writeHead(200, EVENT_STREAM_HEADERS);
+    
+    const close = openEventStream(chunk => res.write(chunk), () => res.end());
+    req.on('close', close);
+  };
+}
+
+/**
+ * Start an event stream: a `ready` event with the current revision, then a
+ * `change` event per update
+ * @param {function(string): void} write - Write a chunk to the response
+ * @param {function(): void} end - End the response
+ * @returns {function(): void} Stop the stream
+ */
+function openEventStream(write, end) {
+  let closed = false;
+  
+  const listener = event => write(formatEvent('change', event));
+  const keepAlive = setInterval(() => write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+  
+  live.listeners.add(listener);
+  write(formatEvent('ready', { revision: live.revision }));
+  
+  return () => {
+    if (closed) return;
+    closed = true;
+    
+    clearInterval(keepAlive);
+    live.listeners.delete(listener);
+    end();
+  };
+}
+
+/**
+ * Create an uncached JSON response
+ */
+function createJsonResponse(status, body) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Format a server-sent event
+ */
+function formatEvent(name, data) {
+  return `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Check whether a request asked for an event stream
+ */
+function acceptsEventStream(accept) {
+  return typeof accept === 'string' && accept.includes('text/event-stream');
+}
+
+/**
+ * Get the error response when the live manifest cannot be served
+ * @returns {{status: number, body: Object}|null} The response, or null when it can be served
+ */
+function getUnavailableResponse() {
+  if (process.env.NODE_ENV === 'production') {
+    return { status: 404, body: { error: 'The live manifest is only served by next dev.' } };
+  }
+  
+  if (!live.manifest && process.env.TURBOPACK) {
+    return {
+      status: 503,
+      body: { error: 'Turbopack has no plugin API, so there is no live manifest. Run next dev without --turbo.' }
+    };
+  }
+  
+  if (!live.manifest) {
+    return {
+      status: 503,
+      body: {
+        error: 'No compilation has reported to the live manifest yet. ' +
+          'Check that "development" is in the environments of withAIOptimizer.'
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Get the current live manifest
+ * @returns {{revision: number, manifest: Object}} The revision, which grows with every change, and the manifest
+ */
+function getLiveDocument() {
+  return { revision: live.revision, manifest: live.manifest };
+}
+
+module.exports = {
+  AILiveManifestPlugin,
+  createAILiveManifestRoute,
+  createAILiveManifestApiHandler,
+  updateLiveManifest,
+  getLiveDocument
+};
@@ -0,0 +1,287 @@
+// src/next/llms.js
+const fs = require('fs');
+const path = require('path');
+const { buildManifest } = require('./manifest');
+
+const PLUGIN_NAME = 'AILlmsPlugin';
+
+/**
+ * Directory of the per-route summaries, inside the output directory
+ */
+const SUMMARIES_DIR = 'llms';
+
+/**
+ * List of the files the plugin wrote, inside the output directory
+ */
+const GENERATED_LIST = `${SUMMARIES_DIR}/.generated.json`;
+
+/**
+ * Webpack plugin that writes llms.txt and one Markdown summary per route,
+ * so crawlers can understand the app without running JavaScript
+ */
+class AILlmsPlugin {
+  /**
+   * @param {Object} options - Plugin options
+   * @param {string} options.dir - The Next.js project directory
+   * @param {string} options.basePath - The Next.js basePath
+   * @param {Object} options.llms - The llms option of withAIOptimizer
+   */
+  constructor({ dir, basePath, llms }) {
+    this.dir = dir;
+    this.basePath = basePath || '';
+    this.llms = llms;
+  }
+  
+  apply(compiler) {
+    compiler.hooks.done.tap(PLUGIN_NAME, (stats) => {
+      if (stats.hasErrors()) return;
+      
+      const files = generateLlmsFiles(buildManifest(stats.compilation, this.dir), {
+        ...this.llms,
+        title: this.llms.title || getProjectName(this.dir),
+        basePath: this.basePath
+      });
+      
+      writeLlmsFiles(this.dir, path.resolve(this.dir, this.llms.outputDir), files);
+    });
+  }
+}
+
+/**
+ * Write the files to the output directory, which is usually the app's own
+ * public/. Only files an earlier build wrote, as listed in GENERATED_LIST,
+ * are replaced or removed; anything else found there is left alone.
+ * @param {string} dir - The Next.js project directory
+ * @param {string} outputDir - Absolute path of the output directory
+ * @param {Map<string, string>} files - File contents keyed by path in the output directory
+ */
+function writeLlmsFiles(dir, outputDir, files) {
+  const listPath = path.join(outputDir, GENERATED_LIST);
+  const previous = readGeneratedList(listPath, outputDir);
+  const written = [];
+  
+  // Summaries of routes that no longer exist would linger
+  previous.forEach(file => {
+    if (!files.has(file)) {
+      fs.rmSync(path.join(outputDir, file), { force: true });
+    }
+  });
+  
+  files.forEach((content, file) => {
+    const filePath = path.join(outputDir, file);
+    
+    if (!previous.has(file) && fs.existsSync(filePath)) {
+      console.warn(
+        `[AI Optimizer] ${path.relative(dir, filePath)} was not written by the optimizer, so it is left as is. ` +
+        'Remove it, or set llms.outputDir to another directory.'
+      );
+      return;
+    }
+    
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    written.push(file);
+  });
+  
+  fs.mkdirSync(path.dirname(listPath), { recursive: true });
+  fs.writeFileSync(listPath, `${JSON.stringify(written.sort(), null, 2)}\n`);
+}
+
+/**
+ * Read the files an earlier build wrote, ignoring any that point outside
+ * the output directory
+ * @returns {Set<string>} Paths in the output directory
+ */
+function readGeneratedList(listPath, outputDir) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(listPath, 'utf8'));
+  } catch (error) {
+    return new Set();
+  }
+  
+  return new Set((Array.isArray(list) ? list : []).filter(file => {
+    if (typeof file !== 'string') return false;
+    
+    const relative = path.relative(outputDir, path.join(outputDir, file));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }));
+}
+
+/**
+ * Generate llms.txt and the route summaries from the build manifest
+ * @param {Object} manifest - The build manifest
+ * @param {Object} options - Customisation
+ * @param {string} options.title - Site title
+ * @param {string} [options.description] - Site description
+ * @param {Object} [options.routes] - Title and description per route
+ * @param {string} [options.basePath] - Prefix of the summary links
+ * @returns {Map<string, string>} File contents keyed by path in the output directory
+ */
+function generateLlmsFiles(manifest, { title, description, routes: routeOptions = {}, basePath = '' }) {
+  const files = new Map();
+  const index = [`# ${title}`, ''];
+  
+  if (description) {
+    index.push(`> ${description}`, '');
+  }
+  
+  index.push('## Pages', '');
+  
+  Object.keys(manifest.routes).forEach(route => {
+    const page = describeRoute(manifest, route, routeOptions[route] || {});
+    const file = `${SUMMARIES_DIR}/${getSummaryName(route)}`;
+    
+    files.set(file, renderSummary(route, page));
+    
+    const link = `- [${page.title}](${basePath}/${encodeURI(file)})`;
+    index.push(page.description ? `${link}: ${page.description}` : link);
+  });
+  
+  files.set('llms.txt', `${index.join('\n')}\n`);
+  
+  return files;
+}
+
+/**
+ * Collect what a route offers from the components rendered on it
+ */
+function describeRoute(manifest, route, custom) {
+  const components = manifest.components.filter(component => component.routes.includes(route));
+  const pageComponent = components.find(component => isPageFile(component.file));
+  
+  const elements = new Map();
+  const forms = [];
+  const links = new Map();
+  
+  components.forEach(component => {
+    (component.elements || []).forEach(element => {
+      if (element.action !== 'navigate') {
+        elements.set(element.target, element);
+      }
+    });
+    
+    (component.forms || []).forEach(form => {
+      const action = manifest.actions.find(item => item.target === form.target);
+      forms.push({ ...form, action: action ? action.name : null });
+    });
+    
+    (component.navigation || []).forEach(link => {
+      if (!link.href || links.has(link.href)) return;
+      
+      const element = (component.elements || []).find(item => item.target === link.target);
+      links.set(link.href, element?.description || link.href);
+    });
+  });
+  
+  return {
+    title: custom.title || getRouteTitle(route),
+    description: custom.description ||
+      pageComponent?.description ||
+      pageComponent?.intent ||
+      null,
+    elements: Array.from(elements.values()),
+    forms,
+    links: Array.from(links, ([href, text]) => ({ href, text }))
+  };
+}
+
+/**
+ * Render a route summary as Markdown
+ */
+function renderSummary(route, page) {
+  const lines = [`# ${page.title}`, ''];
+  
+  if (page.description) {
+    lines.push(`> ${page.description}`, '');
+  }
+  
+  lines.push(`Route: \`${route}\``, '');
+  
+  if (page.elements.length > 0) {
+    lines.push('## Interactive elements', '');
+    page.elements.forEach(element => {
+      const name = element.description || `<${element.element}>`;
+      lines.push(`- ${name}: ${element.action} (\`${element.target}\`)`);
+    });
+    lines.push('');
+  }
+  
+  if (page.forms.length > 0) {
+    lines.push('## Forms', '');
+    page.forms.forEach(form => {
+      lines.push(`### \`${form.target}\``, '');
+      
+      if (form.action) {
+        lines.push(`Submits to the \`${form.action}\` Server Action.`, '');
+      }
+      
+      form.fields.forEach(field => {
+        const details = [field.type, field.required ? 'required' : null].filter(Boolean).join(', ');
+        const label = field.label ? `: ${field.label}` : '';
+        const options = field.options ? ` (one of ${field.options.map(option => `\`${option.value}\``).join(', ')})` : '';
+        
+        lines.push(`- \`${field.name || 'unnamed'}\` (${details})${label}${options}`);
+      });
+      lines.push('');
+    });
+  }
+  
+  if (page.links.length > 0) {
+    lines.push('## Links', '');
+    page.links.forEach(link => {
+      lines.push(`- [${link.text}](${link.href})`);
+    });
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Check whether a file defines a page rather than a shared component
+ */
+function isPageFile(file) {
+  return /(^|\/)pages\//.test(file) || /(^|\/)app\/(.+\/)?page\.[jt]sx?$/.test(file);
+}
+
+/**
+ * Turn a route into a title, e.g. `/blog/[slug]` into "Blog slug"
+ */
+function getRouteTitle(route) {
+  if (route === '/') return 'Home';
+  
+  const words = route
+    .split('/')
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[[\].]/g, '')
+    .replace(/[-_]+/g, ' ')
+    .trim();
+  
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Get the summary file name of a route: `/` is index.md, `/blog/[slug]` is blog/[slug].md
+ */
+function getSummaryName(route) {
+  return route === '/' ? 'index.md' : `${route.slice(1)}.md`;
+}
+
+/**
+ * Get a default site title from the project's package.json
+ */
+function getProjectName(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).name || path.basename(dir);
+  } catch (error) {
+    return path.basename(dir);
+  }
+}
+
+module.exports = {
+  AILlmsPlugin,
+  generateLlmsFiles,
+  writeLlmsFiles
+};
@@ -0,0 +1,136 @@
+// src/next/loader.js
+const babel = require('@babel/core');
+const path = require('path');
+const { findActionImports } = require('../babel/actions');
+const { recordResolvedImports, forgetFile } = require('../babel/registry');
+
+/**
+ * Extensions of files that may contain JSX
+ */
+const JSX_EXTENSIONS = ['.js', '.jsx', '.tsx'];
+
+/**
+ * Files that may pass an import to a form's action
+ */
+const ACTION_PROP_PATTERN = /\b(?:action|formAction)=\{/;
+
+/**
+ * Webpack loader that runs the AI optimizer Babel plugin on its own, for
+ * apps compiled with SWC and under Turbopack. It only parses the source and
+ * leaves JSX and TypeScript in place for SWC to compile afterwards.
+ *
+ * Options are the Babel plugin's options. With `resolveOnly`, used ahead of
+ * babel-loader, it only resolves the imports passed to form actions.
+ *
+ * @param {string} source - Module source
+ * @param {Object} [inputSourceMap] - Source map from a previous loader
+ */
+function aiOptimizerLoader(source, inputSourceMap) {
+  const callback = this.async();
+  const filename = this.resourcePath;
+  const extension = path.extname(filename);
+  
+  // Files without JSX have nothing to enrich. Turbopack rules also match
+  // dependencies, which are left alone.
+  if (
+    !JSX_EXTENSIONS.includes(extension) ||
+    !source.includes('<') ||
+    /[\\/]node_modules[\\/]/.test(filename)
+  ) {
+    // Metadata from before the file lost its JSX must not reach the manifest
+    forgetFile(filename);
+    callback(null, source, inputSourceMap);
+    return;
+  }
+  
+  const { resolveOnly, ...options } = this.getOptions();
+  const parserOpts = {
+    plugins: extension === '.tsx' ? ['jsx', 'typescript'] : ['jsx']
+  };
+  
+  // Source locations do not need the imports of form actions
+  const resolving = options.sourceLocationsOnly
+    ? Promise.resolve()
+    : resolveActionImports(this, source, parserOpts);
+  
+  resolving.then(() => {
+    if (resolveOnly) {
+      return { code: source, map: inputSourceMap };
+    }
+    
+    return babel.transformAsync(source, {
+      filename,
+      root: this.rootContext || process.cwd(),
+      // Ignore the app's Babel config, SWC compiles the result
+      babelrc: false,
+      configFile: false,
+      sourceType: 'unambiguous',
+      parserOpts,
+      plugins: [[require.resolve('../babel/plugin'), options]],
+      sourceMaps: this.sourceMap !== false,
+      inputSourceMap: inputSourceMap || undefined,
+      sourceFileName: filename
+    });
+  }).then(
+    result => callback(null, result.code, result.map || undefined),
+    error => callback(error)
+  );
+}
+
+/**
+ * Resolve the imports a file passes to form actions with the bundler's
+ * resolver, which knows aliases such as `@/app/actions`, for the plugin to
+ * read. The plugin tells Server Actions apart by their module's
+ * 'use server', so those modules become dependencies of the file.
+ * @param {Object} loaderContext - Webpack loader context
+ * @param {string} source - Module source
+ * @param {Object} parserOpts - Babel parser options for the file
+ */
+async function resolveActionImports(loaderContext, source, parserOpts) {
+  const filename = loaderContext.resourcePath;
+  const resolved = new Map();
+  
+  // Not every loader runner has a resolver
+  const ast = ACTION_PROP_PATTERN.test(source) && typeof loaderContext.getResolve === 'function'
+    ? await parseSource(source, filename, parserOpts)
+    : null;
+  
+  if (ast) {
+    const resolve = loaderContext.getResolve();
+    
+    await Promise.all(findActionImports(ast).map(async request => {
+      try {
+        const file = await resolve(loaderContext.context, request);
+        
+        if (file) {
+          resolved.set(request, file);
+          loaderContext.addDependency(file);
+        }
+      } catch (error) {
+        // Left to the plugin, which resolves relative imports itself
+      }
+    }));
+  }
+  
+  recordResolvedImports(filename, resolved);
+}
+
+/**
+ * Parse a source, or return null when it uses syntax only the app's own
+ * Babel config understands. Compiling it reports the error.
+ */
+async function parseSource(source, filename, parserOpts) {
+  try {
+    return await babel.parseAsync(source, {
+      filename,
+      babelrc: false,
+      configFile: false,
+      sourceType: 'unambiguous',
+      parserOpts
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = aiOptimizerLoader;
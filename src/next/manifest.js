@@ -0,0 +1,261 @@
+// src/next/manifest.js
+const path = require('path');
+const { getFileMetadata } = require('../babel/registry');
+
+const PLUGIN_NAME = 'AIManifestPlugin';
+const MANIFEST_FILENAME = 'ai-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Webpack plugin that collects the Babel plugin's per-file metadata into a
+ * single ai-manifest.json in the Next.js build output
+ */
+class AIManifestPlugin {
+  /**
+   * @param {Object} options - Plugin options
+   * @param {string} options.dir - The Next.js project directory
+   * @param {string|null} options.manifestPath - Absolute path of the manifest, or null to skip it
+   * @param {boolean} options.emit - Whether this compilation writes the manifest
+   */
+  constructor({ dir, manifestPath, emit }) {
+    this.dir = dir;
+    this.manifestPath = manifestPath;
+    this.emit = emit;
+  }
+  
+  apply(compiler) {
+    const { webpack } = compiler;
+    
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      // Keep the metadata on the module itself so it survives webpack's
+      // persistent cache, where cached modules skip Babel entirely
+      compilation.hooks.succeedModule.tap(PLUGIN_NAME, (module) => {
+        const resource = getModuleResource(module);
+        const metadata = resource && getFileMetadata(resource);
+        
+        if (metadata) {
+          module.buildInfo.aiOptimizer = metadata;
+        }
+      });
+      
+      if (!this.emit || !this.manifestPath) return;
+      
+      compilation.hooks.processAssets.tap(
+        {
+          name: PLUGIN_NAME,
+          stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONS
+        },
+        () => {
+          const manifest = buildManifest(compilation, this.dir);
+          const assetName = path
+            .relative(compiler.outputPath, this.manifestPath)
+            .split(path.sep)
+            .join('/');
+          
+          compilation.emitAsset(
+            assetName,
+            new webpack.sources.RawSource(JSON.stringify(manifest, null, 2))
+          );
+        }
+      );
+    });
+  }
+}
+
+/**
+ * Build the manifest from the modules of a finished compilation
+ * @param {Object} compilation - Webpack compilation
+ * @param {string} dir - The Next.js project directory
+ * @returns {Object} The manifest contents
+ */
+function buildManifest(compilation, dir) {
+  return assembleManifest(collectFiles(compilation), dir);
+}
+
+/**
+ * Collect the metadata of each file in a compilation, with the routes of
+ * the pages whose entrypoints include it
+ * @param {Object} compilation - Webpack compilation
+ * @returns {Map<string, {metadata: Object, routes: Set<string>}>} Files by absolute path
+ */
+function collectFiles(compilation) {
+  const files = new Map();
+  
+  for (const module of getAllModules(compilation.modules)) {
+    const metadata = module.buildInfo?.aiOptimizer;
+    if (metadata) {
+      files.set(getModuleResource(module), { metadata, routes: new Set() });
+    }
+  }
+  
+  // Attribute each file to the pages whose entrypoints include it
+  for (const [entryName, entrypoint] of compilation.entrypoints) {
+    const route = getRouteFromEntry(entryName);
+    if (!route) continue;
+    
+    for (const chunk of entrypoint.chunks) {
+      const chunkModules = compilation.chunkGraph.getChunkModulesIterable(chunk);
+      
+      for (const module of getAllModules(chunkModules)) {
+        files.get(getModuleResource(module))?.routes.add(route);
+      }
+    }
+  }
+  
+  return files;
+}
+
+/**
+ * Assemble the manifest from per-file metadata
+ * @param {Map<string, {metadata: Object, routes: Iterable<string>}>} files - Files by absolute path
+ * @param {string} dir - The Next.js project directory
+ * @returns {Object} The manifest contents
+ */
+function assembleManifest(files, dir) {
+  const components = [];
+  const routes = {};
+  const skipped = [];
+  const actions = [];
+  
+  for (const [resource, { metadata, routes: fileRoutes }] of files) {
+    const file = path.relative(dir, resource).split(path.sep).join('/');
+    const sortedRoutes = Array.from(fileRoutes).sort();
+    
+    (metadata.skipped || []).forEach(region => {
+      skipped.push({ file, ...region });
+    });
+    
+    (metadata.actions || []).forEach(action => {
+      actions.push({
+        name: action.name,
+        module: action.module,
+        server: action.server,
+        file,
+        component: action.component,
+        target: action.target,
+        fields: action.fields,
+        routes: sortedRoutes
+      });
+    });
+    
+    for (const component of metadata.components) {
+      components.push({
+        name: component.name,
+        file,
+        description: component.description,
+        intent: component.intent || null,
+        action: component.action || null,
+        props: component.props,
+        targets: metadata.targets
+          .filter(target => target.component === component.name)
+          .map(target => target.target),
+        elements: metadata.targets
+          .filter(target => target.component === component.name && target.action)
+          .map(target => ({
+            target: target.target,
+            element: target.element,
+            action: target.action,
+            description: target.description || null
+          })),
+        navigation: metadata.targets
+          .filter(target => target.component === component.name && target.action === 'navigate')
+          .map(target => ({ target: target.target, href: target.href || null })),
+        forms: metadata.targets
+          .filter(target => target.component === component.name && target.formSchema)
+          .map(target => ({ target: target.target, fields: target.formSchema.fields })),
+        routes: sortedRoutes
+      });
+      
+      sortedRoutes.forEach(route => {
+        routes[route] = routes[route] || { components: [] };
+        routes[route].components.push(component.name);
+      });
+    }
+  }
+  
+  components.sort((a, b) => a.file.localeCompare(b.file) || a.name.localeCompare(b.name));
+  skipped.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+  actions.sort((a, b) => a.module.localeCompare(b.module) || a.name.localeCompare(b.name) || a.file.localeCompare(b.file));
+  
+  return {
+    version: MANIFEST_VERSION,
+    components,
+    routes: Object.keys(routes).sort().reduce((sorted, route) => {
+      sorted[route] = { components: routes[route].components.sort() };
+      return sorted;
+    }, {}),
+    actions,
+    skipped
+  };
+}
+
+/**
+ * Flatten concatenated modules into the modules they were built from
+ * @param {Iterable<Object>} modules - Webpack modules
+ * @returns {Array<Object>} Modules with a resource on disk
+ */
+function getAllModules(modules) {
+  const result = [];
+  
+  for (const module of modules) {
+    if (module.modules) {
+      result.push(...getAllModules(module.modules));
+    } else if (getModuleResource(module)) {
+      result.push(module);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get the file a module was built from, without any resource query
+ * @param {Object} module - Webpack module
+ * @returns {string|null} Absolute file path
+ */
+function getModuleResource(module) {
+  return module.resource ? module.resource.split('?')[0] : null;
+}
+
+/**
+ * Map a Next.js entry name to the route it serves
+ * @param {string} entryName - Entry name, e.g. "pages/blog/[slug]" or "app/shop/page"
+ * @returns {string|null} The route, or null for entries that are not pages
+ */
+function getRouteFromEntry(entryName) {
+  const name = entryName.replace(/\\/g, '/');
+  
+  if (name.startsWith('pages/')) {
+    const page = name.slice('pages'.length);
+    
+    // Custom App/Document/Error and API routes are not pages of their own
+    if (/^\/_(app|document|error)$/.test(page) || page.startsWith('/api/')) {
+      return null;
+    }
+    
+    return page.replace(/\/index$/, '') || '/';
+  }
+  
+  if (name.startsWith('app/') && name.endsWith('/page')) {
+    const segments = name
+      .slice('app/'.length, -'/page'.length)
+      .split('/')
+      // Route groups and parallel route slots do not appear in the URL
+      .filter(segment => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+    
+    return `/${segments.join('/')}`;
+  }
+  
+  return null;
+}
+
+module.exports = {
+  AIManifestPlugin,
+  MANIFEST_FILENAME,
+  buildManifest,
+  collectFiles,
+  assembleManifest,
+  getAllModules,
+  getModuleResource,
+  getRouteFromEntry
+};
@@ -0,0 +1,40 @@
+// src/next/middleware.d.ts
+
+/** How an agent was detected */
+export type AIAgentDetection = 'user-agent' | 'header' | 'token';
+
+export interface AIAgentMiddlewareOptions {
+  /**
+   * User-Agent patterns of agents. Strings match case-insensitively anywhere.
+   * @default AI_AGENT_USER_AGENTS
+   */
+  userAgents?: Array<RegExp | string>;
+  /**
+   * Header agents send to ask for assistance, or `false` to ignore it
+   * @default 'x-ai-agent'
+   */
+  header?: string | false;
+  /** Secret of the tokens made by createAIAgentToken */
+  secret?: string;
+}
+
+/**
+ * Create a middleware that sets the `x-ai-agent-detected` request header and
+ * the `ai-agent` cookie when a request comes from an AI agent
+ */
+export function createAIAgentMiddleware(options?: AIAgentMiddlewareOptions): (request: Request) => Promise<Response>;
+
+/** Detect whether a request comes from an AI agent */
+export function detectAIAgent(request: Request, options?: AIAgentMiddlewareOptions): Promise<AIAgentDetection | null>;
+
+/** Create a token agents present as `?ai-agent-token=...` */
+export function createAIAgentToken(secret: string, options?: { expiresIn?: number }): Promise<string>;
+
+/** Read the detection the middleware added to a request's headers */
+export function getAIAgentDetection(
+  headers: { get(name: string): string | null } | Record<string, string | string[] | undefined>
+): AIAgentDetection | null;
+
+export const AI_AGENT_USER_AGENTS: RegExp[];
+
+export const AI_AGENT_DETECTED_HEADER: 'x-ai-agent-detected';
@@ -0,0 +1,243 @@
+// src/next/middleware.js
+// Runs in the Edge runtime, so it only uses Web APIs
+const { NextResponse } = require('next/server');
+const {
+  AI_AGENT_DETECTED_HEADER,
+  AI_AGENT_COOKIE,
+  getAIAgentDetection,
+  getAIAgentDetectionFromCookie
+} = require('../utils/agentDetection');
+
+/**
+ * User agents of AI crawlers, assistants and headless browsers
+ */
+const AI_AGENT_USER_AGENTS = [
+  /GPTBot/i,
+  /ChatGPT-User/i,
+  /OAI-SearchBot/i,
+  /ClaudeBot/i,
+  /Claude-User/i,
+  /Claude-SearchBot/i,
+  /anthropic-ai/i,
+  /PerplexityBot/i,
+  /Perplexity-User/i,
+  /Google-Extended/i,
+  /Applebot-Extended/i,
+  /CCBot/i,
+  /cohere-ai/i,
+  /Bytespider/i,
+  /Amazonbot/i,
+  /HeadlessChrome/i
+];
+
+/**
+ * Header agents can send to ask for assistance, e.g. `X-AI-Agent: 1`
+ */
+const DEFAULT_AGENT_HEADER = 'x-ai-agent';
+
+/**
+ * Query parameter and cookie carrying a signed token
+ */
+const TOKEN_PARAM = 'ai-agent-token';
+const TOKEN_COOKIE = 'ai-agent-token';
+
+const DEFAULT_TOKEN_LIFETIME = 24 * 60 * 60;
+
+/**
+ * Create a middleware that detects AI agents and tells the app about it:
+ * the `x-ai-agent-detected` request header is set for server rendering, and
+ * the `ai-agent` cookie for the browser. Both hold how the agent was detected.
+ *
+ *   export const middleware = createAIAgentMiddleware({ secret: process.env.AI_AGENT_SECRET });
+ *
+ * @param {Object} [options] - Detection options
+ * @param {Array<RegExp|string>} [options.userAgents] - User-Agent patterns of agents
+ * @param {string|false} [options.header] - Header agents send to ask for assistance, or false to ignore it
+ * @param {string} [options.secret] - Secret of the tokens made by createAIAgentToken
+ * @returns {function(Request): Promise<Response>} The middleware
+ */
+function createAIAgentMiddleware(options = {}) {
+  validateOptions(options);
+  
+  return async function middleware(request) {
+    const detection = await detectAIAgent(request, options);
+    
+    // Never trust a detection header sent by the client
+    const headers = new Headers(request.headers);
+    headers.delete(AI_AGENT_DETECTED_HEADER);
+    if (detection) {
+      headers.set(AI_AGENT_DETECTED_HEADER, detection);
+    }
+    
+    const response = NextResponse.next({ request: { headers } });
+    const secure = new URL(request.url).protocol === 'https:';
+    
+    if (detection) {
+      response.cookies.set(AI_AGENT_COOKIE, detection, { path: '/', sameSite: 'lax', secure });
+    } else if (getAIAgentDetectionFromCookie(request.headers.get('cookie'))) {
+      response.cookies.delete(AI_AGENT_COOKIE);
+    }
+    
+    // Keep agents that presented a token in the URL detected as they navigate
+    const queryToken = new URL(request.url).searchParams.get(TOKEN_PARAM);
+    if (detection === 'token' && queryToken) {
+      response.cookies.set(TOKEN_COOKIE, queryToken, {
+        path: '/',
+        httpOnly: true,
+        sameSite: 'lax',
+        secure,
+        expires: new Date(Number(queryToken.split('.')[0]) * 1000)
+      });
+    } else if (detection !== 'token' && getCookie(request, TOKEN_COOKIE)) {
+      response.cookies.delete(TOKEN_COOKIE);
+    }
+    
+    return response;
+  };
+}
+
+/**
+ * Detect whether a request comes from an AI agent, for apps that add the
+ * result to their own middleware's response
+ * @param {Request} request - The incoming request
+ * @param {Object} [options] - Same options as createAIAgentMiddleware
+ * @returns {Promise<string|null>} `token`, `header`, `user-agent` or null
+ */
+async function detectAIAgent(request, options = {}) {
+  const {
+    userAgents = AI_AGENT_USER_AGENTS,
+    header = DEFAULT_AGENT_HEADER,
+    secret
+  } = options;
+  
+  if (secret) {
+    const token = new URL(request.url).searchParams.get(TOKEN_PARAM) || getCookie(request, TOKEN_COOKIE);
+    if (token && await verifyAIAgentToken(token, secret)) {
+      return 'token';
+    }
+  }
+  
+  if (header) {
+    const value = request.headers.get(header);
+    if (value !== null && !['', '0', 'false'].includes(value.trim().toLowerCase())) {
+      return 'header';
+    }
+  }
+  
+  const userAgent = request.headers.get('user-agent') || '';
+  const matches = userAgents.some(pattern =>
+    typeof pattern === 'string'
+      ? userAgent.toLowerCase().includes(pattern.toLowerCase())
+      : pattern.test(userAgent)
+  );
+  
+  return matches ? 'user-agent' : null;
+}
+
+/**
+ * Create a token that identifies an agent you trust. Agents present it as
+ * `?ai-agent-token=...`, after which a cookie keeps them detected.
+ * @param {string} secret - The middleware's secret
+ * @param {Object} [options] - Token options
+ * @param {number} [options.expiresIn] - Lifetime in seconds (default one day)
+ * @returns {Promise<string>} The token
+ */
+async function createAIAgentToken(secret, { expiresIn = DEFAULT_TOKEN_LIFETIME } = {}) {
+  if (typeof secret !== 'string' || secret === '') {
+    throw new Error('[AI Optimizer] createAIAgentToken needs the middleware secret');
+  }
+  
+  const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+  const signature = await crypto.subtle.sign('HMAC', await importKey(secret), encode(expires));
+  
+  return `${expires}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @returns {Promise<boolean>} Whether the token is valid
+ */
+async function verifyAIAgentToken(token, secret) {
+  const [expires, signature] = token.split('.');
+  
+  if (!/^\d+$/.test(expires) || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  
+  try {
+    return await crypto.subtle.verify('HMAC', await importKey(secret), fromBase64Url(signature), encode(expires));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check the middleware options, so mistakes show when the middleware loads
+ */
+function validateOptions({ userAgents, header, secret }) {
+  if (
+    userAgents !== undefined &&
+    (!Array.isArray(userAgents) || userAgents.some(pattern => typeof pattern !== 'string' && !(pattern instanceof RegExp)))
+  ) {
+    throw new Error('[AI Optimizer] userAgents must be an array of strings or regular expressions');
+  }
+  
+  if (header !== undefined && header !== false && (typeof header !== 'string' || header === '')) {
+    throw new Error('[AI Optimizer] header must be a header name, or false to ignore agent headers');
+  }
+  
+  if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+    throw new Error('[AI Optimizer] secret must be a non-empty string. Is its environment variable set?');
+  }
+}
+
+/**
+ * Read a cookie from a NextRequest
+ */
+function getCookie(request, name) {
+  const cookie = request.cookies?.get(name);
+  
+  // Next.js 13.0 returned the value, later versions return { name, value }
+  return typeof cookie === 'string' ? cookie : cookie?.value || null;
+}
+
+/**
+ * Import the secret as an HMAC-SHA256 key
+ */
+function importKey(secret) {
+  return crypto.subtle.importKey('raw', encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Encode text as UTF-8 bytes
+ */
+function encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Encode bytes as URL-safe base64, which needs no escaping in a query string
+ */
+function toBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 into bytes
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+module.exports = {
+  createAIAgentMiddleware,
+  detectAIAgent,
+  createAIAgentToken,
+  getAIAgentDetection,
+  AI_AGENT_USER_AGENTS,
+  AI_AGENT_DETECTED_HEADER
+};
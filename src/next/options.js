@@ -0,0 +1,201 @@
+// src/next/options.js
+const { compileGlobs } = require('../babel/filters');
+const { validateComponentMappings } = require('../babel/elements');
+
+/**
+ * Options accepted by withAIOptimizer, with their defaults
+ */
+const DEFAULT_OPTIONS = {
+  // Which kind of build is optimized: next build, next dev or both
+  environments: ['production'],
+  level: 'standard',
+  include: undefined,
+  exclude: undefined,
+  attributePrefix: 'data-ai-',
+  // Serve window.AIHelper for <AIHead>. It and the other runtime helpers
+  // only read data-ai- attributes, so a custom prefix needs it off.
+  helper: true,
+  // Relative to the project directory; defaults to <distDir>/ai-manifest.json
+  manifestPath: undefined,
+  strict: false,
+  sourceLocations: true,
+  componentMappings: {},
+  // llms.txt and per-route Markdown summaries, written by next build
+  llms: false
+};
+
+/**
+ * Defaults of the llms option when it is enabled
+ */
+const DEFAULT_LLMS_OPTIONS = {
+  title: undefined,
+  description: undefined,
+  outputDir: 'public',
+  routes: {}
+};
+
+const ENVIRONMENTS = ['development', 'production'];
+const LEVELS = ['basic', 'standard', 'advanced'];
+
+/**
+ * Validate withAIOptimizer options, fill in defaults and apply the
+ * environment variable overrides:
+ *
+ * - `OPTIMIZE_FOR_AI=true` optimizes every environment, `false` none and
+ *   turns off source locations
+ * - `AI_OPTIMIZATION_LEVEL` replaces `level`
+ *
+ * @param {Object} [aiOptions] - Options as passed to withAIOptimizer
+ * @returns {Object} The complete options
+ * @throws {Error} Listing every invalid option
+ */
+function resolveOptions(aiOptions = {}) {
+  const errors = [];
+  
+  if (!aiOptions || typeof aiOptions !== 'object' || Array.isArray(aiOptions)) {
+    throw new Error('[AI Optimizer] withAIOptimizer options must be an object');
+  }
+  
+  Object.keys(aiOptions).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, key)) {
+      errors.push(`Unknown option "${key}". Valid options are: ${Object.keys(DEFAULT_OPTIONS).join(', ')}`);
+    }
+  });
+  
+  const options = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    if (aiOptions[key] !== undefined) {
+      options[key] = aiOptions[key];
+    }
+  });
+  
+  if (process.env.OPTIMIZE_FOR_AI === 'true') {
+    options.environments = [...ENVIRONMENTS];
+  } else if (process.env.OPTIMIZE_FOR_AI === 'false') {
+    options.environments = [];
+    options.sourceLocations = false;
+  }
+  
+  if (process.env.AI_OPTIMIZATION_LEVEL) {
+    options.level = process.env.AI_OPTIMIZATION_LEVEL;
+  }
+  
+  if (!Array.isArray(options.environments) || options.environments.some(env => !ENVIRONMENTS.includes(env))) {
+    errors.push(`environments must be an array of ${formatChoices(ENVIRONMENTS)}`);
+  }
+  
+  if (!LEVELS.includes(options.level)) {
+    const source = process.env.AI_OPTIMIZATION_LEVEL ? 'AI_OPTIMIZATION_LEVEL' : 'level';
+    errors.push(`${source} must be ${formatChoices(LEVELS)}. Received ${JSON.stringify(options.level)}`);
+  }
+  
+  ['strict', 'sourceLocations', 'helper'].forEach(key => {
+    if (typeof options[key] !== 'boolean') {
+      errors.push(`${key} must be a boolean`);
+    }
+  });
+  
+  if (
+    options.manifestPath !== undefined && options.manifestPath !== false &&
+    (typeof options.manifestPath !== 'string' || options.manifestPath === '')
+  ) {
+    errors.push('manifestPath must be a file path, or false to skip the manifest');
+  }
+  
+  if (typeof options.attributePrefix !== 'string' || !/^data-[a-z0-9]+(?:-[a-z0-9]+)*-$/.test(options.attributePrefix)) {
+    errors.push(
+      'attributePrefix must be a lowercase data attribute prefix ending in "-", such as "data-agent-". ' +
+      `Received ${JSON.stringify(options.attributePrefix)}`
+    );
+  } else if (options.attributePrefix !== DEFAULT_OPTIONS.attributePrefix && options.helper) {
+    errors.push(
+      `attributePrefix ${JSON.stringify(options.attributePrefix)} needs helper: false. ` +
+      'window.AIHelper and AIAgentProvider only read data-ai- attributes'
+    );
+  }
+  
+  options.llms = resolveLlmsOptions(options.llms, errors);
+  
+  // The Babel plugin validates these too; checking here reports them
+  // when the config loads rather than on the first compiled file
+  collectError(errors, () => compileGlobs(options.include, 'include'));
+  collectError(errors, () => compileGlobs(options.exclude, 'exclude'));
+  collectError(errors, () => validateComponentMappings(options.componentMappings));
+  
+  if (errors.length > 0) {
+    throw new Error(
+      `[AI Optimizer] Invalid withAIOptimizer options:\n${errors.map(error => `  - ${error}`).join('\n')}`
+    );
+  }
+  
+  return options;
+}
+
+/**
+ * Validate the llms option: false, true, or an object customising the output
+ * @returns {Object|false} The complete llms options, or false when disabled
+ */
+function resolveLlmsOptions(llms, errors) {
+  if (llms === false) return false;
+  if (llms === true) return { ...DEFAULT_LLMS_OPTIONS };
+  
+  if (!llms || typeof llms !== 'object' || Array.isArray(llms)) {
+    errors.push('llms must be true, false or an object');
+    return false;
+  }
+  
+  Object.keys(llms).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_LLMS_OPTIONS, key)) {
+      errors.push(`Unknown llms option "${key}". Valid options are: ${Object.keys(DEFAULT_LLMS_OPTIONS).join(', ')}`);
+    }
+  });
+  
+  ['title', 'description', 'outputDir'].forEach(key => {
+    if (llms[key] !== undefined && (typeof llms[key] !== 'string' || llms[key] === '')) {
+      errors.push(`llms.${key} must be a non-empty string`);
+    }
+  });
+  
+  const routes = llms.routes === undefined ? {} : llms.routes;
+  
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    errors.push('llms.routes must map routes to their title and description');
+  } else {
+    Object.entries(routes).forEach(([route, custom]) => {
+      const valid = custom && typeof custom === 'object' &&
+        ['title', 'description'].every(key => custom[key] === undefined || typeof custom[key] === 'string');
+      
+      if (!route.startsWith('/') || !valid) {
+        errors.push(`llms.routes["${route}"] must be a route starting with "/", mapped to { title?, description? } strings`);
+      }
+    });
+  }
+  
+  return {
+    ...DEFAULT_LLMS_OPTIONS,
+    ...Object.fromEntries(Object.entries(llms).filter(([, value]) => value !== undefined))
+  };
+}
+
+/**
+ * Run a validator that throws, recording its message
+ */
+function collectError(errors, validate) {
+  try {
+    validate();
+  } catch (error) {
+    errors.push(error.message.replace(/^\[AI Optimizer\] /, ''));
+  }
+}
+
+/**
+ * Format choices as "a", "b" or "c"
+ */
+function formatChoices(choices) {
+  const quoted = choices.map(choice => `"${choice}"`);
+  return `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}`;
+}
+
+module.exports = {
+  resolveOptions
+};
@@ -0,0 +1,40 @@
+// src/next/route.d.ts
+
+export interface AIAgentRouteOptions {
+  /** Path of ai-manifest.json, if not where withAIOptimizer writes it */
+  manifestPath?: string;
+  /** Return false to leave a route, and what is only on it, out of the response */
+  filterRoute?: (route: string) => boolean;
+  /**
+   * Cache-Control header of successful responses
+   * @default 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400'
+   */
+  cacheControl?: string;
+}
+
+/** App Router GET handler serving /.well-known/ai-agent.json */
+export function createAIAgentRoute(options?: AIAgentRouteOptions): (request: Request) => Response;
+
+/** Pages Router API route serving the same document */
+export function createAIAgentApiHandler(options?: AIAgentRouteOptions): (
+  req: { query: Record<string, string | string[] | undefined> },
+  res: {
+    setHeader(name: string, value: string): unknown;
+    status(code: number): { json(body: unknown): void };
+  }
+) => void;
+
+/** App Router GET handler serving the live manifest during next dev */
+export function createAILiveManifestRoute(): (request: Request) => Response;
+
+/** Pages Router API route serving the live manifest during next dev */
+export function createAILiveManifestApiHandler(): (
+  req: { headers: Record<string, string | string[] | undefined>; on(event: 'close', listener: () => void): unknown },
+  res: {
+    setHeader(name: string, value: string): unknown;
+    status(code: number): { json(body: unknown): void };
+    writeHead(code: number, headers: Record<string, string>): unknown;
+    write(chunk: string): unknown;
+    end(): unknown;
+  }
+) => void;
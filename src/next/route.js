@@ -0,0 +1,223 @@
+// src/next/route.js
+// Bundled into the app's routes, so it must not load the build-time modules
+const fs = require('fs');
+const path = require('path');
+const { createAILiveManifestRoute, createAILiveManifestApiHandler } = require('./live');
+
+/**
+ * Version of the /.well-known/ai-agent.json format, bumped on breaking changes
+ */
+const AGENT_SCHEMA_VERSION = 1;
+
+/**
+ * Environment variable withAIOptimizer sets to the manifest's location
+ */
+const MANIFEST_ENV = 'NEXT_AI_OPTIMIZER_MANIFEST';
+
+const DEFAULT_CACHE_CONTROL = 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400';
+
+// Parsed manifest, reused until the file changes
+let cachedManifest = null;
+
+/**
+ * Create an App Router route handler serving the agent manifest. Put it in
+ * app/.well-known/ai-agent.json/route.js:
+ *
+ *   export const GET = createAIAgentRoute();
+ *
+ * @param {Object} [options] - Handler options
+ * @param {string} [options.manifestPath] - Path of ai-manifest.json, if not where withAIOptimizer writes it
+ * @param {function(string): boolean} [options.filterRoute] - Return false to leave a route out
+ * @param {string} [options.cacheControl] - Cache-Control header for successful responses
+ * @returns {function(Request): Response} The GET handler
+ */
+function createAIAgentRoute(options = {}) {
+  return function GET(request) {
+    const route = new URL(request.url).searchParams.get('route');
+    const { status, body, cacheControl } = getAgentResponse(options, route);
+    
+    return new Response(JSON.stringify(body, null, 2), {
+      status,
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': cacheControl
+      }
+    });
+  };
+}
+
+/**
+ * Create a Pages Router API route serving the agent manifest. Put it in
+ * pages/api/ai-agent.js and rewrite /.well-known/ai-agent.json to it:
+ *
+ *   export default createAIAgentApiHandler();
+ *
+ * @param {Object} [options] - Same options as createAIAgentRoute
+ * @returns {function(Object, Object): void} The API route handler
+ */
+function createAIAgentApiHandler(options = {}) {
+  return function handler(req, res) {
+    const route = typeof req.query.route === 'string' ? req.query.route : null;
+    const { status, body, cacheControl } = getAgentResponse(options, route);
+    
+    res.setHeader('Cache-Control', cacheControl);
+    res.status(status).json(body);
+  };
+}
+
+/**
+ * Build the response for a request, optionally limited to one route
+ * @param {Object} options - Handler options
+ * @param {string|null} route - Requested route, e.g. `/blog/hello` or `/blog/[slug]`
+ * @returns {{status: number, body: Object, cacheControl: string}} The response
+ */
+function getAgentResponse(options, route) {
+  const manifestPath = options.manifestPath ||
+    process.env[MANIFEST_ENV] ||
+    path.join(process.cwd(), '.next', 'ai-manifest.json');
+  
+  const manifest = readManifest(manifestPath);
+  
+  if (!manifest) {
+    return {
+      status: 503,
+      body: { error: 'The AI manifest is not available. Run next build with withAIOptimizer.' },
+      cacheControl: 'no-store'
+    };
+  }
+  
+  const document = createAgentDocument(manifest, {
+    filterRoute: options.filterRoute,
+    route
+  });
+  
+  if (route && Object.keys(document.routes).length === 0) {
+    return {
+      status: 404,
+      body: { error: `No route matches "${route}".` },
+      cacheControl: 'no-store'
+    };
+  }
+  
+  return {
+    status: 200,
+    body: document,
+    cacheControl: options.cacheControl || DEFAULT_CACHE_CONTROL
+  };
+}
+
+/**
+ * Turn the build manifest into what agents are served. Source file and
+ * module paths are left out, since agents only need what a page offers.
+ *
+ * @param {Object} manifest - Contents of ai-manifest.json
+ * @param {Object} [options] - Filters
+ * @param {function(string): boolean} [options.filterRoute] - Return false to leave a route out
+ * @param {string|null} [options.route] - Only keep the route matching this path
+ * @returns {Object} The agent document
+ */
+function createAgentDocument(manifest, { filterRoute, route } = {}) {
+  const keepRoute = pattern =>
+    (!filterRoute || filterRoute(pattern)) &&
+    (!route || pattern === route || matchesRoute(pattern, route));
+  
+  const routes = Object.keys(manifest.routes || {}).filter(keepRoute);
+  const filtered = Boolean(filterRoute || route);
+  
+  // Items on no route at all are shared code, kept unless a filter applies
+  const keepItem = item => item.routes.length === 0
+    ? !route
+    : item.routes.some(itemRoute => routes.includes(itemRoute));
+  
+  const limitRoutes = item => ({
+    ...item,
+    routes: filtered ? item.routes.filter(itemRoute => routes.includes(itemRoute)) : item.routes
+  });
+  
+  return {
+    schemaVersion: AGENT_SCHEMA_VERSION,
+    routes: routes.reduce((result, pattern) => {
+      result[pattern] = manifest.routes[pattern];
+      return result;
+    }, {}),
+    components: (manifest.components || []).filter(keepItem).map(component => limitRoutes({
+      name: component.name,
+      description: component.description,
+      intent: component.intent,
+      action: component.action,
+      props: component.props,
+      targets: component.targets,
+      elements: component.elements,
+      navigation: component.navigation,
+      forms: component.forms,
+      routes: component.routes
+    })),
+    actions: (manifest.actions || []).filter(keepItem).map(action => limitRoutes({
+      name: action.name,
+      component: action.component,
+      target: action.target,
+      fields: action.fields,
+      routes: action.routes
+    }))
+  };
+}
+
+/**
+ * Check whether a path matches a route pattern with dynamic segments, such
+ * as `/blog/[slug]`, `/docs/[...path]` or `/shop/[[...filters]]`
+ */
+function matchesRoute(pattern, pathname) {
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (/^\[\[\.\.\..+\]\]$/.test(segment)) return '(?:/.+)?';
+      if (/^\[\.\.\..+\]$/.test(segment)) return '/.+';
+      if (/^\[.+\]$/.test(segment)) return '/[^/]+';
+      return segment ? `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` : '';
+    })
+    .join('');
+  
+  return new RegExp(`^${source || '/'}/?$`).test(pathname);
+}
+
+/**
+ * Read the manifest, reusing the parsed copy while the file is unchanged
+ * @returns {Object|null} The manifest, or null if it does not exist or
+ *   cannot be parsed, e.g. while a build is still writing it
+ */
+function readManifest(manifestPath) {
+  let stats;
+  try {
+    stats = fs.statSync(manifestPath);
+  } catch (error) {
+    return null;
+  }
+  
+  if (
+    cachedManifest &&
+    cachedManifest.path === manifestPath &&
+    cachedManifest.mtimeMs === stats.mtimeMs
+  ) {
+    return cachedManifest.manifest;
+  }
+  
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    // Read it again on the next request rather than caching the failure
+    return null;
+  }
+  
+  cachedManifest = { path: manifestPath, mtimeMs: stats.mtimeMs, manifest };
+  return manifest;
+}
+
+module.exports = {
+  createAIAgentRoute,
+  createAIAgentApiHandler,
+  createAILiveManifestRoute,
+  createAILiveManifestApiHandler,
+  createAgentDocument,
+  MANIFEST_ENV
+};
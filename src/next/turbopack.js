@@ -0,0 +1,123 @@
+// src/next/turbopack.js
+
+/**
+ * Files the optimizer loader runs on, as Turbopack rule globs
+ */
+const TURBOPACK_GLOBS = ['*.js', '*.jsx', '*.tsx'];
+
+/**
+ * Register the optimizer loader under Next's Turbopack loader rules. Next.js
+ * 15.3+ reads them from `turbopack.rules`, older versions from
+ * `experimental.turbo.rules`. Rules the app already has for the same files
+ * are kept, and our loader runs before their loaders.
+ *
+ * @param {Object} nextConfig - Next.js configuration
+ * @param {Object} loaderOptions - Babel plugin options, which must be JSON
+ * @returns {Object} Next.js configuration with the rules added
+ */
+function withTurbopackRules(nextConfig, loaderOptions) {
+  const version = getNextVersion();
+  
+  // experimental.turbo.rules arrived in Next.js 13.5. Earlier versions warn
+  // about the unknown key, and may not set TURBOPACK under --turbo.
+  if (version && compareVersions(version, [13, 5]) < 0) {
+    console.warn(
+      `[AI Optimizer] Turbopack in Next.js ${version.join('.')} does not support loader rules, ` +
+      'so next dev --turbo does not optimize pages. Upgrade to Next.js 13.5 or later, or run without --turbo.'
+    );
+    return nextConfig;
+  }
+  
+  // Adding source locations needs nothing more than the loader
+  if (process.env.TURBOPACK && !loaderOptions.sourceLocationsOnly) {
+    console.warn(
+      '[AI Optimizer] Turbopack has no plugin API, so only the element attributes are added: ' +
+      'there is no ai-manifest.json, llms.txt, live manifest or AIHead script, and diagnostics ' +
+      'are logged per file instead of reported as build warnings. Run without --turbo for those.'
+    );
+  }
+  
+  const loader = {
+    loader: require.resolve('./loader'),
+    options: loaderOptions
+  };
+  
+  const useTopLevel = nextConfig.turbopack !== undefined ||
+    (version !== null && compareVersions(version, [15, 3]) >= 0);
+  
+  if (useTopLevel) {
+    const turbopack = nextConfig.turbopack || {};
+    
+    return {
+      ...nextConfig,
+      turbopack: { ...turbopack, rules: addLoaderRules(turbopack.rules, loader) }
+    };
+  }
+  
+  const experimental = nextConfig.experimental || {};
+  const turbo = experimental.turbo || {};
+  
+  return {
+    ...nextConfig,
+    experimental: {
+      ...experimental,
+      turbo: { ...turbo, rules: addLoaderRules(turbo.rules, loader) }
+    }
+  };
+}
+
+/**
+ * Add the loader to the rule for each glob
+ * @param {Object} [rules] - Existing Turbopack rules
+ * @param {Object} loader - Our loader item
+ * @returns {Object} The merged rules
+ */
+function addLoaderRules(rules = {}, loader) {
+  const merged = { ...rules };
+  
+  TURBOPACK_GLOBS.forEach(glob => {
+    const rule = merged[glob];
+    
+    // Loaders apply from last to first, so ours goes at the end
+    if (!rule) {
+      merged[glob] = [loader];
+    } else if (Array.isArray(rule)) {
+      merged[glob] = [...rule, loader];
+    } else {
+      merged[glob] = { ...rule, loaders: [...(rule.loaders || []), loader] };
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Read the version of Next.js the app uses
+ * @returns {Array<number>|null} Major, minor and patch, or null if unknown
+ */
+function getNextVersion() {
+  try {
+    const packagePath = require.resolve('next/package.json', { paths: [process.cwd()] });
+    const { version } = require(packagePath);
+    
+    return version.split('-')[0].split('.').map(Number);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare two versions given as number arrays
+ */
+function compareVersions(a, b) {
+  for (let index = 0; index < b.length; index++) {
+    const difference = (a[index] || 0) - b[index];
+    if (difference !== 0) return difference;
+  }
+  
+  return 0;
+}
+
+module.exports = {
+  withTurbopackRules
+};
@@ -1,5 +1,12 @@
 'use client';
 import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
+import { AI_HELPER_SCRIPT } from '../utils/aiHelper';
+import {
+  EXPLICIT_AI_AGENT_DETECTIONS,
+  getAIAgentDetectionFromCookie
+} from '../utils/agentDetection';
+
+const MODES = ['always', 'detected', 'opt-in'];
 
 // Create a context for AI agent information
 const AIAgentContext = createContext({
@@ -9,30 +16,51 @@ const AIAgentContext = createContext({
 });
 
 /**
- * Provider component that sets up AI agent optimization
- * AI optimization is enabled by default
+ * Provider component that sets up AI agent optimization. Its `mode` decides
+ * for whom:
+ *
+ * - `always` (default): every visitor
+ * - `detected`: agents detected by createAIAgentMiddleware
+ * - `opt-in`: agents that sent the agent header or a token
+ *
+ * `detection` is how the middleware detected the agent, read on the server
+ * with getAIAgentDetection. Without it the provider reads the middleware's
+ * cookie once mounted. `?ai-agent=true` activates it in any mode, and
+ * `?ai-agent=false` turns it off.
  */
-export function AIAgentProvider({ children, disableOptimization = false }) {
-  const [isAIAgent, setIsAIAgent] = useState(true); // Default to true
+export function AIAgentProvider({
+  children,
+  disableOptimization = false,
+  mode = 'always',
+  detection = null
+}) {
+  const [isAIAgent, setIsAIAgent] = useState(() => !disableOptimization && isModeActive(mode, detection));
   const [elementRegistry, setElementRegistry] = useState({});
   const isCapturing = useRef(false);
   const previousUrl = useRef('');
   
-  // Check if AI optimization should be disabled explicitly
+  // Check whether AI optimization was requested or disabled explicitly
   useEffect(() => {
-    const checkOptOut = () => {
-      // Check for explicit opt-out URL parameter
+    const checkActivation = () => {
+      if (!MODES.includes(mode)) {
+        console.warn(`[AI Optimizer] Unknown AIAgentProvider mode "${mode}". Use "always", "detected" or "opt-in".`);
+      }
+      
+      // Check for explicit opt-in or opt-out URL parameter
       const urlParams = new URLSearchParams(window.location.search);
-      const optOut = urlParams.get('ai-agent') === 'false';
+      const requested = urlParams.get('ai-agent');
       
-      // Set isAIAgent to false only if disabled by prop or explicit opt-out
-      if (disableOptimization || optOut) {
+      if (disableOptimization || requested === 'false') {
         setIsAIAgent(false);
+      } else if (requested === 'true') {
+        setIsAIAgent(true);
+      } else {
+        setIsAIAgent(isModeActive(mode, detection || getAIAgentDetectionFromCookie(document.cookie)));
       }
     };
     
-    checkOptOut();
-  }, [disableOptimization]);
+    checkActivation();
+  }, [disableOptimization, mode, detection]);
 
   // Function to capture all interactive elements on the page
   const captureInteractiveElements = () => {
@@ -63,6 +91,11 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
         return;
       }
       
+      // Skip regions the app opted out with data-ai-ignore
+      if (element.closest('[data-ai-ignore]:not([data-ai-ignore="false"])')) {
+        return;
+      }
+      
       // Generate a target ID if not present
       let aiTarget = element.getAttribute('data-ai-target');
       if (!aiTarget) {
@@ -115,6 +148,11 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
         name: element.getAttribute('name') || undefined,
         value: element.value || undefined,
         href: element.getAttribute('href') || undefined,
+        destination: aiAction === 'navigate'
+          ? element.getAttribute('data-ai-href') || element.getAttribute('href') || undefined
+          : undefined,
+        // JSX location, only present in development builds
+        source: element.getAttribute('data-ai-source') || undefined,
         path,
         content,
         viewportPosition,
@@ -177,8 +215,14 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
     const type = element.getAttribute('type')?.toLowerCase();
     
     switch (tagName) {
+      case 'a': {
+        // Links with a destination navigate rather than trigger in-page behaviour,
+        // except in-page anchors, mailto: and tel: links
+        const href = element.getAttribute('href');
+        return href !== null && !/^(?:#|mailto:|tel:)/i.test(href) ? 'navigate' : 'click';
+      }
+        
       case 'button':
-      case 'a':
       case 'summary':
         return 'click';
         
@@ -356,6 +400,7 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
       window.__AI_AGENT_HELPERS__ = {
         findElement: findTargetElement,
         getInteractiveElements: () => Object.values(elementRegistry),
+        getNavigationTargets: () => Object.values(elementRegistry).filter(info => info.aiAction === 'navigate'),
         captureElements: captureInteractiveElements,
         describeElement: (element) => {
           if (!element) return null;
@@ -371,6 +416,8 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
             aiTarget: aiTarget,
             aiAction: element.getAttribute('data-ai-action'),
             aiComponent: element.closest('[data-ai-component]')?.getAttribute('data-ai-component'),
+            destination: element.getAttribute('data-ai-href') || element.getAttribute('href') || undefined,
+            source: element.getAttribute('data-ai-source') || undefined,
             tagName: element.tagName.toLowerCase(),
             text: element.textContent?.trim(),
             id: element.id,
@@ -426,74 +473,16 @@ export function AIAgentProvider({ children, disableOptimization = false }) {
   );
 }
 
+// Check whether a mode activates the provider for a detection
+function isModeActive(mode, detection) {
+  if (mode === 'detected') return Boolean(detection);
+  if (mode === 'opt-in') return EXPLICIT_AI_AGENT_DETECTIONS.includes(detection);
+  return true;
+}
+
 // Helper component to inject initialization script
 function AIAgentHelperScript() {
-  return (
-    <script
-      dangerouslySetInnerHTML={{
-        __html: `
-          (function() {
-            // Signal that the AI helper is ready
-            window.AI_HELPER_READY = true;
-            
-            // Update page metadata for AI agents
-            const metadata = {
-              url: window.location.href,
-              title: document.title,
-              description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
-              interactiveElements: Array.from(document.querySelectorAll('[data-ai-action]')).length
-            };
-            
-            // Add metadata to document head
-            const metadataScript = document.createElement('script');
-            metadataScript.type = 'application/json';
-            metadataScript.id = 'ai-page-metadata';
-            metadataScript.textContent = JSON.stringify(metadata);
-            
-            // Check if it already exists
-            const existingMetadata = document.getElementById('ai-page-metadata');
-            if (existingMetadata) {
-              existingMetadata.textContent = JSON.stringify(metadata);
-            } else {
-              document.head.appendChild(metadataScript);
-            }
-            
-            // Make the page self-documenting for AI agents
-            document.documentElement.setAttribute('data-ai-optimized', 'true');
-            
-            // Make helper globally accessible
-            window.AIHelper = {
-              findElement(targetOrDescription) {
-                // Find by exact target
-                let element = document.querySelector(\`[data-ai-target="\${targetOrDescription}"]\`);
-                
-                // If not found, try matching description
-                if (!element) {
-                  element = document.querySelector(\`[data-ai-description*="\${targetOrDescription}"]\`);
-                }
-                
-                return element;
-              },
-              
-              getInteractiveElements() {
-                return Array.from(document.querySelectorAll('[data-ai-action]')).map(el => ({
-                  target: el.getAttribute('data-ai-target'),
-                  action: el.getAttribute('data-ai-action'),
-                  description: el.getAttribute('data-ai-description'),
-                  text: el.textContent?.trim(),
-                  tagName: el.tagName.toLowerCase(),
-                  visible: window.__AI_AGENT_HELPERS__?.describeElement(el).visible || false,
-                  interactable: !el.disabled
-                }));
-              }
-            };
-            
-            console.log('[AI Optimizer] Helper initialized (default enabled)');
-          })();
-        `
-      }}
-    />
-  );
+  return <script dangerouslySetInnerHTML={{ __html: AI_HELPER_SCRIPT }} />;
 }
 
 // Custom hook to access AI agent context
@@ -0,0 +1,15 @@
+/**
+ * Loads the AIHelper script that withAIOptimizer serves as a static asset.
+ * Render it in the <head> of your App Router root layout or of
+ * pages/_document. It reads the asset URL on the server, so it renders
+ * nothing when the optimizer is not active or in a client component.
+ */
+export function AIHead() {
+  const src = process.env.NEXT_AI_OPTIMIZER_HELPER;
+  
+  if (!src) return null;
+  
+  return <script src={src} defer data-ai-helper="" />;
+}
+
+export default AIHead;
@@ -4,6 +4,14 @@ import React from 'react';
 export interface AIAgentProviderProps {
   children: React.ReactNode;
   disableOptimization?: boolean;
+  /**
+   * Who the provider activates for: every visitor, agents detected by
+   * createAIAgentMiddleware, or agents that sent the agent header or a token
+   * @default 'always'
+   */
+  mode?: 'always' | 'detected' | 'opt-in';
+  /** How the middleware detected the agent, from getAIAgentDetection */
+  detection?: 'user-agent' | 'header' | 'token' | null;
 }
 
 export function AIAgentProvider(props: AIAgentProviderProps): JSX.Element;
@@ -19,11 +27,21 @@ export function useAIAgentInteraction(): {
   fillInput: (targetOrElement: string | HTMLElement, value: string) => boolean;
   selectOption: (targetOrElement: string | HTMLElement, value: string) => boolean;
   fillForm: (formSelector: string, data: Record<string, any>) => boolean;
+  validateForm: (formSelector: string, data: Record<string, any>) => string[];
   submitForm: (formSelector: string) => boolean;
   scanInteractiveElements: () => void;
 };
 
-export interface AIAgentDebuggerProps {}
+/**
+ * Loads the AIHelper script served by withAIOptimizer. Render it in the
+ * <head> of the root layout or of pages/_document.
+ */
+export function AIHead(): JSX.Element | null;
+
+export interface AIAgentDebuggerProps {
+  /** URL of createAILiveManifestRoute, to show manifest changes during next dev */
+  liveManifestUrl?: string;
+}
 
 export function AIAgentDebugger(props: AIAgentDebuggerProps): JSX.Element;
 
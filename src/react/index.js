@@ -10,4 +10,6 @@ export {
     AIAgentDebugger 
   } from './useAIAgentInteraction';
   
-  export { withAIEnhancement } from './withAIEnhancement';
\ No newline at end of file
+  export { withAIEnhancement } from './withAIEnhancement';
+  
+  export { AIHead } from './AIHead';
\ No newline at end of file
@@ -65,6 +65,8 @@ export function useAIAgentInteraction() {
         tagName: element.tagName.toLowerCase(),
         text: element.textContent?.trim(),
         inputType: element.getAttribute('data-ai-input-type'),
+        href: element.getAttribute('data-ai-href') || element.getAttribute('href') || undefined,
+        source: element.getAttribute('data-ai-source') || undefined,
         isVisible: isElementVisible(element),
         isInteractable: !element.disabled && getComputedStyle(element).pointerEvents !== 'none'
       }));
@@ -163,7 +165,17 @@ export function useAIAgentInteraction() {
     return true;
   };
   
-  // Fill a complete form with data
+  // Check data against the form's build-time schema, if it has one
+  const validateForm = (formSelector, data) => {
+    const form = document.querySelector(formSelector);
+    if (!form) {
+      return [`Form not found: ${formSelector}`];
+    }
+    
+    return validateFormData(getFormSchema(form), data);
+  };
+  
+  // Fill some or all of a form's fields with data
   const fillForm = (formSelector, data) => {
     const form = document.querySelector(formSelector);
     if (!form) {
@@ -171,6 +183,16 @@ export function useAIAgentInteraction() {
       return false;
     }
     
+    // Refuse values the form would reject instead of filling it halfway.
+    // Forms may be filled in several steps, so missing required fields are
+    // left to validateForm and the browser's checks on submit.
+    const validationErrors = validateFormData(getFormSchema(form), data, { partial: true });
+    if (validationErrors.length > 0) {
+      validationErrors.forEach(message => console.error(message));
+      setError(validationErrors.join('; '));
+      return false;
+    }
+    
     let success = true;
     
     // Process each field in the data object
@@ -228,6 +250,7 @@ export function useAIAgentInteraction() {
     fillInput,
     selectOption,
     fillForm,
+    validateForm,
     submitForm,
     
     // Utils
@@ -235,6 +258,99 @@ export function useAIAgentInteraction() {
   };
 }
 
+// Read the data-ai-form-schema attribute the Babel plugin adds to forms
+function getFormSchema(form) {
+  try {
+    return JSON.parse(form.getAttribute('data-ai-form-schema') || 'null');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Validate form data against a schema, returning an error message per problem.
+// With `partial`, only the fields in the data are checked.
+function validateFormData(schema, data, { partial = false } = {}) {
+  if (!schema || !Array.isArray(schema.fields)) return [];
+  
+  const errors = [];
+  
+  schema.fields.forEach(field => {
+    if (!field.name) return;
+    if (partial && !Object.prototype.hasOwnProperty.call(data, field.name)) return;
+    
+    const value = data[field.name];
+    const isEmpty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+    
+    if (isEmpty) {
+      if (field.required && !partial) {
+        errors.push(`Field "${field.name}" is required`);
+      }
+      return;
+    }
+    
+    const values = Array.isArray(value) ? value : [value];
+    
+    values.forEach(item => {
+      const text = String(item);
+      
+      // Options only constrain the value when all of them are known
+      const knownOptions = field.options && field.options.every(option => option.value !== null);
+      
+      if (knownOptions && !field.options.some(option => option.value === text)) {
+        errors.push(`Field "${field.name}" must be one of: ${field.options.map(option => option.value).join(', ')}`);
+      }
+      
+      if ((field.type === 'number' || field.type === 'range') && Number.isNaN(Number(text))) {
+        errors.push(`Field "${field.name}" must be a number`);
+      } else if (field.type === 'number' || field.type === 'range') {
+        if (typeof field.min === 'number' && Number(text) < field.min) {
+          errors.push(`Field "${field.name}" must be at least ${field.min}`);
+        }
+        if (typeof field.max === 'number' && Number(text) > field.max) {
+          errors.push(`Field "${field.name}" must be at most ${field.max}`);
+        }
+      }
+      
+      if (field.type === 'email' && !/^[^\s@]+@[^\s@]+$/.test(text)) {
+        errors.push(`Field "${field.name}" must be an email address`);
+      }
+      
+      if (typeof field.minLength === 'number' && text.length < field.minLength) {
+        errors.push(`Field "${field.name}" must be at least ${field.minLength} characters`);
+      }
+      
+      if (typeof field.maxLength === 'number' && text.length > field.maxLength) {
+        errors.push(`Field "${field.name}" must be at most ${field.maxLength} characters`);
+      }
+      
+      if (field.pattern && !matchesPattern(field.pattern, text)) {
+        errors.push(`Field "${field.name}" must match the pattern ${field.pattern}`);
+      }
+    });
+  });
+  
+  return errors;
+}
+
+// Match a value against an HTML pattern attribute, which must match the whole value
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+  } catch (err) {
+    // Patterns the browser could not compile either are ignored
+    return true;
+  }
+}
+
+// Link to the Next.js dev server's open-in-editor endpoint for a data-ai-source value
+function getEditorLink(source) {
+  const [, file, lineNumber, column] = source.match(/^(.*):(\d+):(\d+)$/) || [null, source, 1, 1];
+  const params = new URLSearchParams({ file, lineNumber, column });
+  
+  return `/__nextjs_launch-editor?${params}`;
+}
+
 // Helper function to check if an element is visible
 function isElementVisible(element) {
   if (!element) return false;
@@ -258,11 +374,35 @@ function isElementInteractable(element) {
 }
 
 // Export a React component that can be used to debug AI agent interaction
-export function AIAgentDebugger() {
+export function AIAgentDebugger({ liveManifestUrl } = {}) {
   const {
     interactiveElements,
-    error
+    error,
+    scanInteractiveElements
   } = useAIAgentInteraction();
+  const [liveChange, setLiveChange] = useState(null);
+  
+  // Follow the live manifest served by next dev, if its route is given
+  useEffect(() => {
+    if (!liveManifestUrl || typeof EventSource === 'undefined') return;
+    
+    const source = new EventSource(liveManifestUrl);
+    let rescanTimeout = null;
+    
+    source.addEventListener('change', (event) => {
+      const { revision, changes } = JSON.parse(event.data);
+      setLiveChange({ revision, changes });
+      
+      // The page re-renders with the new code shortly after the compilation
+      clearTimeout(rescanTimeout);
+      rescanTimeout = setTimeout(scanInteractiveElements, 500);
+    });
+    
+    return () => {
+      clearTimeout(rescanTimeout);
+      source.close();
+    };
+  }, [liveManifestUrl]);
   
   if (error) {
     return (
@@ -307,11 +447,34 @@ export function AIAgentDebugger() {
           {interactiveElements.slice(0, 5).map((info, index) => (
             <li key={index}>
               {info.aiTarget} ({info.aiAction})
+              {info.source && (
+                <div>
+                  <a
+                    href={getEditorLink(info.source)}
+                    onClick={(event) => {
+                      // Ask the Next.js dev server to open the file instead of navigating
+                      event.preventDefault();
+                      fetch(getEditorLink(info.source));
+                    }}
+                    style={{ color: '#8ab4f8', fontSize: '10px' }}
+                  >
+                    {info.source}
+                  </a>
+                </div>
+              )}
             </li>
           ))}
           {interactiveElements.length > 5 && <li>...and {interactiveElements.length - 5} more</li>}
         </ul>
       </div>
+      {liveChange && (
+        <div style={{ marginTop: '8px', fontSize: '10px', opacity: 0.8 }}>
+          Manifest revision {liveChange.revision}
+          {liveChange.changes.length > 0 && (
+            <>: {liveChange.changes.map(change => `${change.file} (${change.change})`).join(', ')}</>
+          )}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * How an agent was detected, shared by the middleware that detects agents
+ * and AIAgentProvider, which decides from it whether to activate.
+ *
+ * - `user-agent`: the User-Agent matched a known agent
+ * - `header`: the agent sent the agent header
+ * - `token`: the agent presented a signed token
+ */
+export const AI_AGENT_DETECTIONS = ['user-agent', 'header', 'token'];
+
+/**
+ * Detections where the agent asked for assistance itself
+ */
+export const EXPLICIT_AI_AGENT_DETECTIONS = ['header', 'token'];
+
+/**
+ * Request header the middleware sets to the detection, for server rendering
+ */
+export const AI_AGENT_DETECTED_HEADER = 'x-ai-agent-detected';
+
+/**
+ * Cookie the middleware sets to the detection, for the provider in the browser
+ */
+export const AI_AGENT_COOKIE = 'ai-agent';
+
+/**
+ * Read the detection the middleware added to a request
+ * @param {Headers|Object} headers - Request headers: a Headers object, such as
+ *   `headers()` in the App Router, or Node's `req.headers`
+ * @returns {string|null} `user-agent`, `header`, `token` or null
+ */
+export function getAIAgentDetection(headers) {
+  if (!headers) return null;
+  
+  const value = typeof headers.get === 'function'
+    ? headers.get(AI_AGENT_DETECTED_HEADER)
+    : headers[AI_AGENT_DETECTED_HEADER];
+  
+  return AI_AGENT_DETECTIONS.includes(value) ? value : null;
+}
+
+/**
+ * Read the detection from the cookie the middleware set
+ * @param {string} cookies - A Cookie header or `document.cookie`
+ * @returns {string|null} `user-agent`, `header`, `token` or null
+ */
+export function getAIAgentDetectionFromCookie(cookies) {
+  const cookie = (cookies || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${AI_AGENT_COOKIE}=`));
+  
+  const value = cookie ? cookie.slice(AI_AGENT_COOKIE.length + 1) : null;
+  
+  return AI_AGENT_DETECTIONS.includes(value) ? value : null;
+}
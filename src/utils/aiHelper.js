@@ -0,0 +1,95 @@
+// src/utils/aiHelper.js
+// CommonJS, because the Next.js integration requires it from next.config.js
+// without a bundler; AIAgentProvider imports it through the bundler's interop
+
+/**
+ * The window.AIHelper script shared by AIAgentProvider, which inlines it,
+ * and the Next.js integration, which serves it as a static asset for <AIHead>.
+ * It only installs itself once, whichever copy runs first.
+ */
+const AI_HELPER_SCRIPT = `
+(function() {
+  if (window.AI_HELPER_READY) return;
+  
+  // Signal that the AI helper is ready
+  window.AI_HELPER_READY = true;
+  
+  // Update page metadata for AI agents
+  const metadata = {
+    url: window.location.href,
+    title: document.title,
+    description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+    interactiveElements: Array.from(document.querySelectorAll('[data-ai-action]')).length
+  };
+  
+  // Add metadata to document head
+  const metadataScript = document.createElement('script');
+  metadataScript.type = 'application/json';
+  metadataScript.id = 'ai-page-metadata';
+  metadataScript.textContent = JSON.stringify(metadata);
+  
+  // Check if it already exists
+  const existingMetadata = document.getElementById('ai-page-metadata');
+  if (existingMetadata) {
+    existingMetadata.textContent = JSON.stringify(metadata);
+  } else {
+    document.head.appendChild(metadataScript);
+  }
+  
+  // Make the page self-documenting for AI agents
+  document.documentElement.setAttribute('data-ai-optimized', 'true');
+  
+  // Make helper globally accessible
+  window.AIHelper = {
+    findElement(targetOrDescription) {
+      // Find by exact target
+      let element = document.querySelector(\`[data-ai-target="\${targetOrDescription}"]\`);
+      
+      // If not found, try matching description
+      if (!element) {
+        element = document.querySelector(\`[data-ai-description*="\${targetOrDescription}"]\`);
+      }
+      
+      return element;
+    },
+    
+    getInteractiveElements() {
+      return Array.from(document.querySelectorAll('[data-ai-action]')).map(el => ({
+        target: el.getAttribute('data-ai-target'),
+        action: el.getAttribute('data-ai-action'),
+        href: el.getAttribute('data-ai-href') || el.getAttribute('href') || undefined,
+        description: el.getAttribute('data-ai-description'),
+        text: el.textContent?.trim(),
+        tagName: el.tagName.toLowerCase(),
+        visible: window.__AI_AGENT_HELPERS__?.describeElement(el).visible || false,
+        interactable: !el.disabled
+      }));
+    }
+  };
+  
+  console.log('[AI Optimizer] Helper initialized (default enabled)');
+})();
+`;
+
+/**
+ * Name of the static helper asset. It is derived from the script's content,
+ * so browsers can cache it forever and the name is the same in every
+ * compilation without them having to share state.
+ * @returns {string} File name, e.g. `ai-helper-5f3c2a1b.js`
+ */
+function getHelperFileName() {
+  // FNV-1a, which is enough for cache busting and runs anywhere
+  let hash = 0x811c9dc5;
+  
+  for (let index = 0; index < AI_HELPER_SCRIPT.length; index++) {
+    hash ^= AI_HELPER_SCRIPT.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return `ai-helper-${(hash >>> 0).toString(16).padStart(8, '0')}.js`;
+}
+
+module.exports = {
+  AI_HELPER_SCRIPT,
+  getHelperFileName
+};
@@ -118,8 +118,14 @@ export function isElementVisible(element) {
     const type = element.getAttribute('type')?.toLowerCase();
     
     switch (tagName) {
+      case 'a': {
+        // Links with a destination navigate rather than trigger in-page behaviour,
+        // except in-page anchors, mailto: and tel: links
+        const href = element.getAttribute('href');
+        return href !== null && !/^(?:#|mailto:|tel:)/i.test(href) ? 'navigate' : 'click';
+      }
+        
       case 'button':
-      case 'a':
       case 'summary':
       case 'details':
         return 'click';
@@ -0,0 +1,77 @@
+// test/actions.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const aiOptimizerLoader = require('../src/next/loader');
+const { getFileMetadata } = require('../src/babel/registry');
+const { transform, attributesOf } = require('./transform');
+
+describe('Server Actions', () => {
+  test('forms with their own data-ai-target still list their action', () => {
+    const { metadata, elements } = transform(`
+export default function Checkout() {
+  async function placeOrder() {
+    'use server';
+  }
+  
+  return <form action={placeOrder} data-ai-target="checkout-form"><input name="email" /></form>;
+}`, { collectMetadata: true }, '/app/app/checkout/page.jsx');
+
+    expect(metadata.aiServerActions).toEqual([{
+      name: 'placeOrder',
+      module: expect.stringMatching(/app\/checkout\/page\.jsx$/),
+      server: true,
+      target: 'checkout-form',
+      component: 'Checkout',
+      fields: ['email']
+    }]);
+    expect(attributesOf(elements, 'form')).toMatchObject({
+      'data-ai-target': 'checkout-form',
+      'data-ai-server-action': 'placeOrder'
+    });
+  });
+});
+
+describe('action imports', () => {
+  let dir;
+  
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-optimizer-actions-'));
+    fs.mkdirSync(path.join(dir, 'app'));
+    fs.writeFileSync(path.join(dir, 'app/actions.js'), "'use server';\nexport async function subscribe() {}\n");
+  });
+  
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('aliased imports are resolved with the bundler\'s resolver and become dependencies', async () => {
+    const dependencies = [];
+    const resolvedFile = path.join(dir, 'app/actions.js');
+    
+    const code = await new Promise((resolve, reject) => {
+      aiOptimizerLoader.call({
+        resourcePath: path.join(dir, 'app/page.jsx'),
+        context: path.join(dir, 'app'),
+        rootContext: dir,
+        sourceMap: false,
+        getOptions: () => ({ collectMetadata: true }),
+        getResolve: () => async (context, request) => {
+          if (request === '@/app/actions') return resolvedFile;
+          throw new Error(`Can't resolve ${request}`);
+        },
+        addDependency: file => dependencies.push(file),
+        async: () => (error, result) => (error ? reject(error) : resolve(result))
+      }, `import { subscribe } from '@/app/actions';
+export default function Newsletter() {
+  return <form action={subscribe}><input name="email" aria-label="Email" /></form>;
+}`);
+    });
+    
+    expect(dependencies).toEqual([resolvedFile]);
+    expect(code).toContain('data-ai-server-action="subscribe"');
+    expect(getFileMetadata(path.join(dir, 'app/page.jsx')).actions).toEqual([
+      expect.objectContaining({ name: 'subscribe', module: 'app/actions.js', server: true })
+    ]);
+  });
+});
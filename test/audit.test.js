@@ -0,0 +1,165 @@
+// test/audit.test.js
+const path = require('path');
+const { auditProject, formatAuditReport } = require('../src/cli/audit');
+const { main } = require('../src/cli');
+
+const PROJECT = path.join(__dirname, 'fixtures/audit-project');
+
+describe('auditProject', () => {
+  let report;
+  
+  const routeOf = route => report.routes.find(entry => entry.route === route);
+  const fileOf = file => report.files.find(entry => entry.file === file);
+  
+  beforeAll(async () => {
+    report = await auditProject(PROJECT);
+  });
+  
+  test('audits app/, pages/ and components/ but not stories', () => {
+    expect(report.files.map(file => file.file)).toEqual([
+      'app/checkout/page.jsx',
+      'app/layout.jsx',
+      'app/page.jsx',
+      'components/CheckoutForm.jsx',
+      'components/links.jsx',
+      'components/Nav.jsx',
+      'pages/_app.jsx',
+      'pages/about.jsx'
+    ]);
+  });
+  
+  test('files that cannot be parsed are reported', () => {
+    expect(report.errors).toEqual([
+      { file: 'components/Broken.jsx', message: expect.stringContaining('Unterminated JSX contents') }
+    ]);
+  });
+  
+  test('pages count their layouts and what they import, through aliases too', () => {
+    expect(report.routes.map(route => [route.route, route.file, route.files])).toEqual([
+      // page, layout and the Nav the layout imports through @/
+      ['/', 'app/page.jsx', 3],
+      // page, pages/_app and Nav
+      ['/about', 'pages/about.jsx', 3],
+      // page, layout, Nav, CheckoutForm and links
+      ['/checkout', 'app/checkout/page.jsx', 5]
+    ]);
+  });
+  
+  test('routes only count the issues of their files', () => {
+    expect(routeOf('/')).toMatchObject({ score: 100, issues: 0, interactive: 3 });
+    expect(routeOf('/checkout')).toMatchObject({
+      interactive: 7,
+      missingLabels: 1,
+      unnamedComponents: 1,
+      forms: 1,
+      undocumentedForms: 1,
+      otherIssues: 1,
+      issues: 4
+    });
+  });
+  
+  test('files are scored by the share of passed checks', () => {
+    // Two checks per interactive element, one per form and one per other
+    // diagnostic: (3 - 1 labels) + 3 named + (1 - 1 documented) of 3 * 2 + 1 + 1
+    expect(fileOf('components/CheckoutForm.jsx')).toMatchObject({ score: 63, issues: 3 });
+    expect(fileOf('components/CheckoutForm.jsx').diagnostics.map(diagnostic => diagnostic.code)).toEqual([
+      'unlabelled-field',
+      'non-semantic-handler'
+    ]);
+    
+    // The link is named but outside a component: 1 of 2
+    expect(fileOf('components/links.jsx')).toMatchObject({ score: 50, unnamedComponents: 1 });
+    
+    // Files without checks score 100
+    expect(fileOf('app/page.jsx')).toMatchObject({ score: 100, interactive: 0 });
+  });
+  
+  test('routes and the project are scored over all their files', () => {
+    // 12 of 16 checks
+    expect(routeOf('/checkout').score).toBe(75);
+    
+    // 14 of 18 checks
+    expect(report).toMatchObject({ score: 78, issues: 4, interactive: 8 });
+  });
+  
+  test('the terminal report lists routes and issues', () => {
+    const text = formatAuditReport(report);
+    
+    expect(text).toContain(`Agent readiness: 78/100 (${PROJECT})`);
+    expect(text).toMatch(/\/checkout\s+75\s+7\s+1\s+1\s+1\/1/);
+    expect(text).toContain('components/CheckoutForm.jsx:4:7 <input> is missing a label');
+    expect(text).toContain('Interactive elements outside a named component:\n  components/links.jsx (1)');
+    expect(text).toContain('Files that could not be parsed:\n  components/Broken.jsx: ');
+  });
+});
+
+describe('audit command', () => {
+  let output;
+  
+  const run = (...args) => main(['audit', PROJECT, ...args]);
+  
+  beforeEach(() => {
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(text => output.push(text));
+    jest.spyOn(console, 'error').mockImplementation(text => output.push(text));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('succeeds without thresholds', async () => {
+    expect(await run()).toBe(0);
+    expect(output[0]).toContain('Agent readiness: 78/100');
+  });
+  
+  test('--min-score fails below the score', async () => {
+    expect(await run('--min-score', '78')).toBe(0);
+    expect(await run('--min-score=79')).toBe(1);
+    expect(output).toContain('\nFailed: score 78 is below --min-score 79');
+  });
+  
+  test('--max-issues fails above the number of issues', async () => {
+    expect(await run('--max-issues', '4')).toBe(0);
+    expect(await run('--max-issues=3')).toBe(1);
+    expect(output).toContain('\nFailed: 4 issues exceed --max-issues 3');
+  });
+  
+  test('--json prints the report and whether it passed', async () => {
+    expect(await run('--json', '--max-issues', '3')).toBe(1);
+    
+    const json = JSON.parse(output[0]);
+    
+    expect(json).toMatchObject({ dir: PROJECT, score: 78, issues: 4, passed: false });
+    expect(json.routes.map(route => route.route)).toEqual(['/', '/about', '/checkout']);
+    expect(json.files[0]).toEqual({
+      file: 'app/checkout/page.jsx',
+      score: 100,
+      issues: 0,
+      components: 1,
+      interactive: 0,
+      missingLabels: 0,
+      unnamedComponents: 0,
+      forms: 0,
+      undocumentedForms: 0,
+      otherIssues: 0,
+      diagnostics: []
+    });
+    expect(json.errors).toHaveLength(1);
+  });
+  
+  test('usage errors exit with 2', async () => {
+    expect(await main([])).toBe(2);
+    expect(await main(['lint'])).toBe(2);
+    expect(await run('--min-score', 'high')).toBe(2);
+    expect(await run('--verbose')).toBe(2);
+    expect(await main(['audit', path.join(PROJECT, 'missing')])).toBe(2);
+    
+    expect(output).toContain(`[AI Optimizer] ${path.join(PROJECT, 'missing')} is not a directory`);
+  });
+  
+  test('--help exits with 0', async () => {
+    expect(await main(['--help'])).toBe(0);
+    expect(await main(['audit', '--help'])).toBe(0);
+  });
+});
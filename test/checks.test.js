@@ -0,0 +1,186 @@
+// test/checks.test.js
+const path = require('path');
+const { transform } = require('./transform');
+const { formatDiagnostic } = require('../src/babel/diagnostics');
+
+/**
+ * Compile a component body and get the diagnostics it produced, as
+ * `line code` pairs counting from the first line of the JSX
+ */
+function diagnosticsOf(jsx) {
+  const { metadata } = transform(`export function Card(props) {\n  return (\n${jsx}\n  );\n}`, { collectMetadata: true });
+  return (metadata.aiDiagnostics || []).map(diagnostic => `${diagnostic.line - 3} ${diagnostic.code}`);
+}
+
+describe('event handlers', () => {
+  const { elements } = transform(`
+    export function Card({ onOpen, onKey, onPick, onSend }) {
+      return (
+        <section>
+          <div onClick={onOpen}>Open</div>
+          <span onKeyDown={onKey} role="button" tabIndex={0} aria-label="Shortcut" />
+          <li onChange={onPick}>Pick</li>
+          <div onSubmit={onSend} role="form" tabIndex={-1}>Send</div>
+        </section>
+      );
+    }
+  `, { collectMetadata: true });
+  
+  test('give any element an action', () => {
+    expect(elements.map(element => [element.name, element.attributes['data-ai-action']])).toEqual([
+      ['section', undefined],
+      ['div', 'click'],
+      ['span', 'keypress'],
+      ['li', 'input'],
+      ['div', 'submit']
+    ]);
+  });
+});
+
+describe('diagnostics', () => {
+  test('handlers on elements that are not operable', () => {
+    const { metadata } = transform(`
+      export function Card({ onOpen }) {
+        return <div onClick={onOpen}>Open</div>;
+      }
+    `, { collectMetadata: true });
+    
+    expect(metadata.aiDiagnostics).toEqual([{
+      code: 'non-semantic-handler',
+      message: '<div onClick> is missing a role and a tabIndex, so agents and screen readers cannot tell it is interactive. ' +
+        'Use a <button>, or add role, tabIndex and aria-label.',
+      line: 3,
+      column: 16
+    }]);
+  });
+  
+  test('handlers need a widget role, a tabIndex and a name', () => {
+    expect(diagnosticsOf(`
+      <div>
+        <span onKeyDown={props.onKey} role="button" tabIndex={0} aria-label="Shortcut" />
+        <li onClick={props.onPick} role="presentation" tabIndex={0}>Pick</li>
+        <section onChange={props.onPick} />
+        <div onClick={props.onOpen} role={props.role} tabIndex={0}>Open</div>
+        <div onClick={props.onOpen} {...props} />
+      </div>
+    `)).toEqual([
+      // A role that is not a widget role
+      '3 non-semantic-handler',
+      '4 non-semantic-handler'
+    ]);
+  });
+  
+  test('buttons and links without an accessible name', () => {
+    expect(diagnosticsOf(`
+      <nav>
+        <button onClick={props.onClose} />
+        <a href="/cart"></a>
+        <input type="button" />
+        <button onClick={props.onClose}><Icon /></button>
+        <button onClick={props.onClose} aria-label="Close" />
+        <a href="/help" title="Help" />
+        <input type="submit" />
+        <input type="button" value="Go" />
+      </nav>
+    `)).toEqual([
+      '2 missing-accessible-name',
+      '3 missing-accessible-name',
+      '4 missing-accessible-name'
+    ]);
+  });
+  
+  test('fields need a label, and a name inside a form', () => {
+    expect(diagnosticsOf(`
+      <div>
+        <form action="/search">
+          <input type="email" />
+          <input name="q" placeholder="Query" />
+          <label>Size <select name="size" /></label>
+          <button>Search</button>
+        </form>
+        <input id="coupon" />
+        <label htmlFor="note">Note</label>
+        <textarea id="note" />
+        <input id={props.id} />
+      </div>
+    `)).toEqual([
+      '3 unlabelled-field',
+      '8 unlabelled-field'
+    ]);
+  });
+  
+  test('forms without a submit button', () => {
+    expect(diagnosticsOf(`
+      <div>
+        <form><button type="button">Check</button></form>
+        <form><input type="submit" /></form>
+        <form><SubmitButton /></form>
+        <form>{props.children}</form>
+      </div>
+    `)).toEqual([
+      '2 form-without-submit'
+    ]);
+  });
+  
+  test('reused explicit targets', () => {
+    const { metadata } = transform(`
+      export function Card() {
+        return (
+          <div>
+            <button data-ai-target="save">Save</button>
+            <button data-ai-target="save">Save again</button>
+          </div>
+        );
+      }
+    `, { collectMetadata: true });
+    
+    expect(metadata.aiDiagnostics).toEqual([expect.objectContaining({
+      code: 'duplicate-target',
+      message: 'data-ai-target="save" is already used in Card on line 5, so agents cannot tell the elements apart.',
+      line: 6
+    })]);
+  });
+});
+
+describe('reporting', () => {
+  const FILENAME = path.join(process.cwd(), 'components/Card.jsx');
+  const CODE = `
+    export function Card({ onOpen }) {
+      return <div onClick={onOpen}>Open</div>;
+    }
+  `;
+  const MESSAGE = '[AI Optimizer] components/Card.jsx:3:14 <div onClick> is missing a role and a tabIndex, ' +
+    'so agents and screen readers cannot tell it is interactive. ' +
+    'Use a <button>, or add role, tabIndex and aria-label. (non-semantic-handler)';
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('diagnostics are logged with the file, line and column', () => {
+    transform(CODE, {}, FILENAME);
+    
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(MESSAGE);
+  });
+  
+  test('strict mode fails the file instead', () => {
+    expect(() => transform(CODE, { strict: true }, FILENAME)).toThrow(MESSAGE);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+  
+  test('collectMetadata leaves reporting to the Next.js integration', () => {
+    transform(CODE, { collectMetadata: true, strict: true }, FILENAME);
+    
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+  
+  test('diagnostics without a location name the file only', () => {
+    expect(formatDiagnostic('app/page.jsx', { code: 'example', message: 'Something is wrong.', line: null, column: null }))
+      .toBe('[AI Optimizer] app/page.jsx Something is wrong. (example)');
+  });
+});
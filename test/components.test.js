@@ -0,0 +1,102 @@
+// test/components.test.js
+const { transform, attributesOf } = require('./transform');
+
+/**
+ * Get the component prefix of an element's generated target
+ */
+function targetComponentOf(attributes) {
+  return attributes['data-ai-target'].split('-')[0];
+}
+
+describe('component attribution', () => {
+  const { metadata, elements } = transform(`
+    const shortcut = <button onClick={go}>Top</button>;
+    
+    export const Header = () => <header><button onClick={openMenu}>Menu</button></header>;
+    
+    export const Input = React.forwardRef((props, ref) => <input ref={ref} {...props} />);
+    
+    export const Row = memo(function ({ onPick }) {
+      const renderCell = () => <td onClick={onPick}>Cell</td>;
+      return <tr>{renderCell()}</tr>;
+    });
+    
+    export class Panel extends Component {
+      render() {
+        if (this.props.empty) return <p>Empty</p>;
+        return <section><button onClick={this.props.onClose}>Close</button></section>;
+      }
+    }
+    
+    function renderLink() {
+      return <a href="/help">Help</a>;
+    }
+    
+    export default function () {
+      return <main><Header /></main>;
+    }
+  `, { collectMetadata: true }, '/app/app/checkout/page.jsx');
+  
+  test('components are named after their binding, wrapper or route file', () => {
+    expect(metadata.aiComponents.map(component => component.name)).toEqual([
+      'Header',
+      'Input',
+      'Row',
+      'Panel',
+      'CheckoutPage'
+    ]);
+  });
+  
+  test('targets are prefixed with the component that renders them', () => {
+    expect(elements.filter(element => element.attributes['data-ai-target']).map(element => [
+      element.name,
+      targetComponentOf(element.attributes)
+    ])).toEqual([
+      // Elements outside any component
+      ['button', 'unknown'],
+      ['header', 'Header'],
+      ['button', 'Header'],
+      ['input', 'Input'],
+      // Functions inside a component render for it
+      ['td', 'Row'],
+      ['tr', 'Row'],
+      ['p', 'Panel'],
+      ['section', 'Panel'],
+      ['button', 'Panel'],
+      // Lowercase functions are not components
+      ['a', 'unknown'],
+      ['main', 'CheckoutPage']
+    ]);
+  });
+  
+  test('root elements are tagged with their component', () => {
+    expect(elements.filter(element => element.attributes['data-ai-component']).map(element => [
+      element.name,
+      element.attributes['data-ai-component']
+    ])).toEqual([
+      ['header', 'Header'],
+      ['input', 'Input'],
+      ['tr', 'Row'],
+      // Every element a class component's render() returns
+      ['p', 'Panel'],
+      ['section', 'Panel'],
+      ['main', 'CheckoutPage']
+    ]);
+  });
+  
+  test('anonymous default exports outside route files are named after the file', () => {
+    const { elements: cardElements } = transform(`
+      export default () => <article>Card</article>;
+    `, { collectMetadata: true }, '/app/components/product-card.jsx');
+    
+    expect(attributesOf(cardElements, 'article')['data-ai-component']).toBe('ProductCard');
+  });
+  
+  test('a data-ai-component written by hand is kept', () => {
+    const { elements: cardElements } = transform(`
+      export const Card = () => <article data-ai-component="ProductCard">Card</article>;
+    `, { collectMetadata: true });
+    
+    expect(attributesOf(cardElements, 'article')['data-ai-component']).toBe('ProductCard');
+  });
+});
@@ -0,0 +1,86 @@
+// test/elements.test.js
+const { transform, attributesOf } = require('./transform');
+
+/**
+ * Render elements inside a Page component
+ */
+function transformPage(jsx, options, preamble = '') {
+  return transform(`${preamble}
+export default function Page() {
+  return <main>${jsx}</main>;
+}`, options);
+}
+
+describe('element names', () => {
+  test('<Foo.Bar> is a component and is left alone', () => {
+    const { elements } = transformPage('<UI.Button onClick={go}>Go</UI.Button>');
+    
+    expect(attributesOf(elements, 'UI.Button')).toEqual({ onClick: '{…}' });
+  });
+  
+  test('<motion.button> is a button', () => {
+    const { elements } = transformPage('<motion.button onClick={go}>Animate</motion.button>');
+    
+    expect(attributesOf(elements, 'motion.button')).toEqual({
+      onClick: '{…}',
+      'data-ai-target': expect.stringMatching(/^Page-motion-button-[0-9a-f]{6}$/),
+      'data-ai-action': 'click'
+    });
+  });
+  
+  test('<svg:rect> is tagged under its full name', () => {
+    const { elements } = transformPage('<svg><svg:rect width="10" /></svg>');
+    
+    expect(attributesOf(elements, 'svg:rect')).toEqual({
+      width: '10',
+      'data-ai-target': expect.stringMatching(/^Page-svg-rect-[0-9a-f]{6}$/)
+    });
+  });
+});
+
+describe('components', () => {
+  test('components that are not known to forward attributes are left alone', () => {
+    const { elements } = transformPage('<Card title="Card" />', {}, "import { Card } from './Card';");
+    
+    expect(attributesOf(elements, 'Card')).toEqual({ title: 'Card' });
+  });
+  
+  test('components of the same file that spread their props are tagged', () => {
+    const { elements } = transformPage(
+      '<Panel title="Panel" />',
+      {},
+      'function Panel({ title, ...rest }) { return <div {...rest}>{title}</div>; }'
+    );
+    
+    expect(attributesOf(elements, 'Panel')).toEqual({
+      title: 'Panel',
+      'data-ai-target': expect.stringMatching(/^Page-Panel-[0-9a-f]{6}$/)
+    });
+  });
+  
+  test('components listed in forwardingComponents are tagged', () => {
+    const { elements } = transformPage(
+      '<Card title="Card" /><UI.Button>Go</UI.Button>',
+      { forwardingComponents: ['Card', 'UI.Button'] },
+      "import { Card } from './Card';"
+    );
+    
+    expect(attributesOf(elements, 'Card')).toHaveProperty('data-ai-target');
+    expect(attributesOf(elements, 'UI.Button')).toHaveProperty('data-ai-target');
+  });
+  
+  test('mapped components receive the mapping\'s attributes', () => {
+    const { elements } = transformPage('<Link href="/cart">Cart</Link>', {}, "import Link from 'next/link';");
+    
+    expect(attributesOf(elements, 'Link')).toMatchObject({
+      'data-ai-action': 'navigate',
+      'data-ai-href': '/cart'
+    });
+  });
+  
+  test('forwardingComponents must be an array', () => {
+    expect(() => transformPage('<Card />', { forwardingComponents: 'Card' })).toThrow(
+      '[AI Optimizer] forwardingComponents must be an array of component names'
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// test/entries.test.js
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Modules that only the build needs. Route handlers are bundled into the
+ * app's server code, where they cannot be resolved.
+ */
+const BUILD_TIME_MODULES = [
+  '@babel/core',
+  '@babel/helper-plugin-utils',
+  '../src/next/config',
+  '../src/next/loader'
+];
+
+describe('runtime entries', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    BUILD_TIME_MODULES.forEach(name => {
+      jest.doMock(name, () => {
+        throw new Error(`${name} was loaded`);
+      });
+    });
+  });
+  
+  test('next-ai-optimizer/route only loads what the routes need', () => {
+    const route = require('../src/next/route');
+    
+    expect(typeof route.createAIAgentRoute).toBe('function');
+    expect(typeof route.createAIAgentApiHandler).toBe('function');
+    expect(typeof route.createAILiveManifestRoute).toBe('function');
+    expect(typeof route.createAILiveManifestApiHandler).toBe('function');
+  });
+});
+
+describe('build-time entry', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    BUILD_TIME_MODULES.forEach(name => jest.dontMock(name));
+  });
+  
+  test('next-ai-optimizer/next also serves the route helpers', () => {
+    const config = require('../src/next/config');
+    const route = require('../src/next/route');
+    
+    expect(config.createAIAgentRoute).toBe(route.createAIAgentRoute);
+    expect(config.createAIAgentApiHandler).toBe(route.createAIAgentApiHandler);
+    expect(config.createAILiveManifestRoute).toBe(route.createAILiveManifestRoute);
+    expect(config.createAILiveManifestApiHandler).toBe(route.createAILiveManifestApiHandler);
+  });
+  
+  test('next.config.js can load it with Node alone', () => {
+    // Newer Node versions can require ES modules, which hides modules that
+    // only load once compiled
+    const flags = process.allowedNodeEnvironmentFlags.has('--no-experimental-require-module')
+      ? ['--no-experimental-require-module']
+      : [];
+    const script = `require(${JSON.stringify(path.join(__dirname, '../src/next/config'))})`;
+    
+    expect(() => execFileSync(process.execPath, [...flags, '-e', script], { stdio: 'pipe' })).not.toThrow();
+  });
+});
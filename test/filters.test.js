@@ -0,0 +1,185 @@
+// test/filters.test.js
+const path = require('path');
+const { transform, attributesOf } = require('./transform');
+const { compileGlobs, isFileExcluded } = require('../src/babel/filters');
+
+/**
+ * A file inside the project root, which Babel takes to be the working directory
+ */
+const projectFile = file => path.join(process.cwd(), file);
+
+const PAGE = `
+  export default function AdminPage({ onSave }) {
+    return <button onClick={onSave}>Save</button>;
+  }
+`;
+
+describe('file globs', () => {
+  /**
+   * Check a file against include/exclude globs
+   */
+  const excludes = (file, { include, exclude }) => isFileExcluded(file, {
+    include: compileGlobs(include, 'include'),
+    exclude: compileGlobs(exclude, 'exclude')
+  });
+  
+  test.each([
+    ['app/admin/**', 'app/admin/page.jsx', true],
+    ['app/admin/**', 'app/admin/users/[id]/page.jsx', true],
+    ['app/admin/**', 'app/administrator/page.jsx', false],
+    ['**/*.test.jsx', 'Button.test.jsx', true],
+    ['**/*.test.jsx', 'components/ui/Button.test.jsx', true],
+    ['app/*/page.jsx', 'app/shop/page.jsx', true],
+    ['app/*/page.jsx', 'app/shop/[id]/page.jsx', false],
+    ['app/page.{js,jsx}', 'app/page.jsx', true],
+    ['app/page.{js,jsx}', 'app/page.tsx', false],
+    ['./internal/?.jsx', 'internal/a.jsx', true],
+    ['./internal/?.jsx', 'internal/ab.jsx', false]
+  ])('exclude %s matches %s: %s', (glob, file, excluded) => {
+    expect(excludes(file, { exclude: [glob] })).toBe(excluded);
+  });
+  
+  test('include leaves out every file it does not match', () => {
+    const globs = { include: ['app/**', 'components/**'], exclude: ['app/admin/**'] };
+    
+    expect(excludes('app/page.jsx', globs)).toBe(false);
+    expect(excludes('components/Nav.jsx', globs)).toBe(false);
+    expect(excludes('lib/emails/Welcome.jsx', globs)).toBe(true);
+    // exclude wins over include
+    expect(excludes('app/admin/page.jsx', globs)).toBe(true);
+  });
+  
+  test('globs must be an array of strings', () => {
+    expect(() => transform(PAGE, { exclude: 'app/admin/**' })).toThrow(
+      '[AI Optimizer] exclude must be an array of glob patterns'
+    );
+    expect(() => transform(PAGE, { include: [/app/] })).toThrow(
+      '[AI Optimizer] include must be an array of glob patterns'
+    );
+  });
+  
+  test('excluded files are left untouched and reported', () => {
+    const { code, metadata } = transform(PAGE, { exclude: ['app/admin/**'] }, projectFile('app/admin/page.jsx'));
+    
+    expect(code).not.toContain('data-ai-');
+    expect(metadata.aiSkipped).toEqual([{ reason: 'exclude' }]);
+  });
+  
+  test('other files are optimized', () => {
+    const { code, metadata } = transform(PAGE, { exclude: ['app/admin/**'] }, projectFile('app/shop/page.jsx'));
+    
+    expect(code).toContain('data-ai-target');
+    expect(metadata.aiSkipped).toEqual([]);
+  });
+});
+
+describe('element lists', () => {
+  const CODE = `
+    export function Toolbar({ onSave }) {
+      return (
+        <nav>
+          <button onClick={onSave}>Save</button>
+          <a href="/help">Help</a>
+          <UI.Button onClick={onSave}>Save</UI.Button>
+        </nav>
+      );
+    }
+  `;
+  
+  test('includeElements only enriches the listed elements', () => {
+    const { elements } = transform(CODE, { includeElements: ['a'] });
+    
+    expect(attributesOf(elements, 'a')).toHaveProperty('data-ai-target');
+    expect(attributesOf(elements, 'button')).not.toHaveProperty('data-ai-target');
+    expect(attributesOf(elements, 'nav')).not.toHaveProperty('data-ai-component');
+  });
+  
+  test('excludeElements never enriches the listed elements', () => {
+    const { elements } = transform(CODE, { excludeElements: ['button'], forwardingComponents: ['UI.Button'] });
+    
+    expect(attributesOf(elements, 'button')).not.toHaveProperty('data-ai-target');
+    expect(attributesOf(elements, 'a')).toHaveProperty('data-ai-target');
+    // Names are matched as written
+    expect(attributesOf(elements, 'UI.Button')).toHaveProperty('data-ai-target');
+  });
+  
+  test('element lists must be arrays of names', () => {
+    expect(() => transform(CODE, { includeElements: 'a' })).toThrow(
+      '[AI Optimizer] includeElements must be an array of element names'
+    );
+  });
+});
+
+describe('opt-outs in the source', () => {
+  const { metadata, elements } = transform(`
+    export function Tools({ onExport }) {
+      return (
+        <div>
+          <section data-ai-ignore>
+            <button onClick={onExport}>Export</button>
+          </section>
+          <section data-ai-ignore={false}>
+            <button onClick={onExport}>Print</button>
+          </section>
+          {/* ai-optimizer-disable-next-line */}
+          <button onClick={onExport}>Next line</button>
+          <button onClick={onExport}>Same line</button> {/* ai-optimizer-disable-line */}
+          <form onSubmit={onExport}>
+            {/** @ai-ignore */}
+            <fieldset><input name="secret" /></fieldset>
+          </form>
+        </div>
+      );
+    }
+    
+    /** @ai-ignore */
+    export function Hidden({ onOpen }) {
+      return <button onClick={onOpen}>Hidden</button>;
+    }
+  `, { collectMetadata: true });
+  
+  // The buttons by their text, in source order
+  const buttonNamed = text => elements.filter(element => element.name === 'button')[
+    ['Export', 'Print', 'Next line', 'Same line', 'Hidden'].indexOf(text)
+  ].attributes;
+  
+  test('data-ai-ignore skips the element and its children, and stays in the output', () => {
+    expect(attributesOf(elements, 'section')).toEqual({ 'data-ai-ignore': true });
+    expect(buttonNamed('Export')).not.toHaveProperty('data-ai-target');
+  });
+  
+  test('data-ai-ignore={false} does not opt out', () => {
+    expect(buttonNamed('Print')).toHaveProperty('data-ai-target');
+  });
+  
+  test('disable-line comments skip the element on their line', () => {
+    expect(buttonNamed('Next line')).not.toHaveProperty('data-ai-target');
+    expect(buttonNamed('Same line')).not.toHaveProperty('data-ai-target');
+    // Only the elements on the line, not the form after it
+    expect(attributesOf(elements, 'form')).toHaveProperty('data-ai-target');
+  });
+  
+  test('@ai-ignore skips documented elements and components', () => {
+    expect(attributesOf(elements, 'fieldset')).toEqual({});
+    expect(attributesOf(elements, 'input')).toEqual({ name: 'secret' });
+    expect(buttonNamed('Hidden')).not.toHaveProperty('data-ai-target');
+    expect(metadata.aiComponents.map(component => component.name)).toEqual(['Tools']);
+  });
+  
+  test('skipped regions are reported with their reason', () => {
+    expect(metadata.aiSkipped).toEqual([
+      { reason: 'data-ai-ignore', element: 'section', component: 'Tools', line: 5 },
+      { reason: 'disable-line', element: 'button', component: 'Tools', line: 12 },
+      { reason: 'disable-line', element: 'button', component: 'Tools', line: 13 },
+      { reason: 'ai-ignore', element: 'fieldset', component: 'Tools', line: 16 },
+      { reason: 'ai-ignore', component: 'Hidden', line: 23 }
+    ]);
+  });
+  
+  test('an ai-optimizer-disable comment skips the whole file', () => {
+    const { code, metadata: fileMetadata } = transform(`/* ai-optimizer-disable */\n${PAGE}`);
+    
+    expect(code).not.toContain('data-ai-');
+    expect(fileMetadata.aiSkipped).toEqual([{ reason: 'disable-comment' }]);
+  });
+});
@@ -0,0 +1,11 @@
+import { CheckoutForm } from '../../components/CheckoutForm';
+import { renderBackLink } from '../../components/links';
+
+export default function CheckoutPage() {
+  return (
+    <main>
+      {renderBackLink()}
+      <CheckoutForm />
+    </main>
+  );
+}
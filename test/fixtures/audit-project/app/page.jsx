@@ -0,0 +1,7 @@
+export default function Home() {
+  return (
+    <main>
+      <h1>Shop</h1>
+    </main>
+  );
+}
@@ -0,0 +1 @@
+export const Broken = () => <div>;
@@ -0,0 +1,9 @@
+export function CheckoutForm({ onGiftWrap }) {
+  return (
+    <form action="/pay">
+      <input name="card" />
+      <div onClick={onGiftWrap}>Gift wrap</div>
+      <button type="submit">Pay</button>
+    </form>
+  );
+}
@@ -0,0 +1,12 @@
+/**
+ * Site navigation
+ */
+export default function Nav({ onMenu }) {
+  return (
+    <nav>
+      <a href="/">Home</a>
+      <a href="/checkout">Checkout</a>
+      <button onClick={onMenu} aria-label="Menu" />
+    </nav>
+  );
+}
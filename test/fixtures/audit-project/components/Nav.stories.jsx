@@ -0,0 +1 @@
+export const NavStory = () => <button>Story</button>;
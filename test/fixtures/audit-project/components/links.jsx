@@ -0,0 +1 @@
+export const renderBackLink = () => <a href="/">Back</a>;
@@ -0,0 +1,10 @@
+import Nav from '@/components/Nav';
+
+export default function About({ onContact }) {
+  return (
+    <section>
+      <Nav />
+      <button onClick={onContact}>Contact us</button>
+    </section>
+  );
+}
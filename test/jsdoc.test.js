@@ -0,0 +1,125 @@
+// test/jsdoc.test.js
+const { transform, attributesOf } = require('./transform');
+
+/**
+ * Get the metadata recorded for one component of a compiled source
+ */
+function componentOf(result, componentName) {
+  return result.metadata.aiComponents.find(component => component.name === componentName);
+}
+
+describe('component JSDoc', () => {
+  const result = transform(`
+    /**
+     * Product card shown in listings.
+     * Spans two lines.
+     * @ai-intent Open the product page
+     * @ai-action view-product
+     * @param {Object} props
+     * @param {string} props.title - Product name
+     * @param {number} [props.price=0] - Price in cents
+     * @param {Function} onSelect - Called with the product
+     *   when it is picked
+     */
+    export const ProductCard = memo(function ProductCard({ title, price = 0, onSelect }) {
+      return <article onClick={onSelect}>{title}</article>;
+    });
+    
+    /** @ai-description Short summary */
+    /* A plain comment in between */
+    export function Summary() {
+      return <p>Summary</p>;
+    }
+    
+    export default function Plain() {
+      return <div />;
+    }
+  `, { collectMetadata: true });
+  
+  test('the description, intent and action come from the comment', () => {
+    expect(componentOf(result, 'ProductCard')).toMatchObject({
+      description: 'Product card shown in listings. Spans two lines.',
+      intent: 'Open the product page',
+      action: 'view-product'
+    });
+  });
+  
+  test('comments on the export or a memo() wrapper belong to the component', () => {
+    expect(attributesOf(result.elements, 'article')).toMatchObject({
+      'data-ai-description': 'Product card shown in listings. Spans two lines.',
+      'data-ai-intent': 'Open the product page',
+      'data-ai-action': 'view-product'
+    });
+  });
+  
+  test('@ai-description replaces the description and plain comments are skipped', () => {
+    expect(componentOf(result, 'Summary').description).toBe('Short summary');
+  });
+  
+  test('undocumented components have empty docs', () => {
+    expect(componentOf(result, 'Plain')).toMatchObject({ description: '', intent: null, action: null });
+    expect(attributesOf(result.elements, 'div')).not.toHaveProperty('data-ai-description');
+  });
+  
+  test('@param documents, types and requires untyped props', () => {
+    expect(componentOf(result, 'ProductCard').props).toEqual([
+      { name: 'title', type: 'string', required: true, description: 'Product name' },
+      { name: 'price', type: 'number', required: false, defaultValue: 0, description: 'Price in cents' },
+      // Tag text continues on the following lines
+      { name: 'onSelect', type: 'Function', required: true, description: 'Called with the product when it is picked' }
+    ]);
+  });
+  
+  test('@param keeps TypeScript types and adds props only found in the docs', () => {
+    const { metadata } = transform(`
+      /**
+       * @param {number} label - Shown on the button
+       * @param {boolean} [disabled] - Greys the button out
+       * @param {string} variant - Only in the docs
+       */
+      export function Button({ label, disabled }: { label: string; disabled?: boolean }) {
+        return <button disabled={disabled}>{label}</button>;
+      }
+    `, { collectMetadata: true }, '/app/components/Button.tsx');
+    
+    expect(metadata.aiComponents[0].props).toEqual([
+      { name: 'label', type: 'string', required: true, description: 'Shown on the button' },
+      { name: 'disabled', type: 'boolean', required: false, description: 'Greys the button out' },
+      { name: 'variant', type: 'string', required: true, description: 'Only in the docs' }
+    ]);
+  });
+});
+
+describe('element JSDoc', () => {
+  const { elements } = transform(`
+    export function Toolbar({ onSave }) {
+      return (
+        <div>
+          {/** @ai-description Save the draft */}
+          <button onClick={onSave}>Save</button>
+          {/**
+            * @ai-intent Compare with other drafts
+            */}
+          <a href="/compare">Compare</a>
+          {/* A plain comment */}
+          <button type="reset">Reset</button>
+          {/** @ai-description From the docs */}
+          <button data-ai-description="Written by hand" type="submit">Send</button>
+        </div>
+      );
+    }
+  `, { collectMetadata: true });
+  
+  test('a comment expression documents the element after it', () => {
+    expect(elements[1].attributes).toMatchObject({ 'data-ai-description': 'Save the draft' });
+    expect(attributesOf(elements, 'a')).toMatchObject({ 'data-ai-intent': 'Compare with other drafts' });
+  });
+  
+  test('plain comments document nothing', () => {
+    expect(elements[3].attributes).not.toHaveProperty('data-ai-description');
+  });
+  
+  test('attributes written by hand win over the docs', () => {
+    expect(elements[4].attributes['data-ai-description']).toBe('Written by hand');
+  });
+});
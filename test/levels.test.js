@@ -0,0 +1,82 @@
+// test/levels.test.js
+const { transform, attributesOf } = require('./transform');
+
+const SIGNUP = `
+export default function Signup() {
+  return (
+    <section>
+      <h1>Sign up</h1>
+      <form action="/signup">
+        <label htmlFor="email">Email</label>
+        <input id="email" name="email" type="email" required />
+        <button type="submit">Create account</button>
+      </form>
+    </section>
+  );
+}`;
+
+describe('optimization levels', () => {
+  test('basic only tags interactive elements', () => {
+    const { elements } = transform(SIGNUP, { optimizationLevel: 'basic' });
+    
+    expect(attributesOf(elements, 'section')).toEqual({});
+    expect(attributesOf(elements, 'h1')).toEqual({});
+    expect(attributesOf(elements, 'label')).toEqual({ htmlFor: 'email' });
+    expect(attributesOf(elements, 'form')).toEqual({
+      action: '/signup',
+      'data-ai-target': expect.stringMatching(/^Signup-form-[0-9a-f]{6}$/)
+    });
+    expect(attributesOf(elements, 'input')).toEqual({
+      id: 'email',
+      name: 'email',
+      type: 'email',
+      required: true,
+      'data-ai-target': 'email'
+    });
+    expect(attributesOf(elements, 'button')).toEqual({
+      type: 'submit',
+      'data-ai-target': expect.stringMatching(/^Signup-button-[0-9a-f]{6}$/)
+    });
+  });
+  
+  test('standard tags every element and adds actions, input types and the component scope', () => {
+    const { elements } = transform(SIGNUP, { optimizationLevel: 'standard' });
+    
+    expect(attributesOf(elements, 'section')).toEqual({
+      'data-ai-component': 'Signup',
+      'data-ai-target': expect.stringMatching(/^Signup-section-/)
+    });
+    expect(attributesOf(elements, 'h1')).toHaveProperty('data-ai-target');
+    expect(attributesOf(elements, 'form')).toMatchObject({ 'data-ai-interaction': 'form-submission' });
+    expect(attributesOf(elements, 'input')).toMatchObject({
+      'data-ai-input-type': 'email',
+      'data-ai-action': 'input'
+    });
+    expect(attributesOf(elements, 'button')).toMatchObject({ 'data-ai-action': 'click' });
+    
+    elements.forEach(({ attributes }) => {
+      expect(attributes).not.toHaveProperty('data-ai-description');
+      expect(attributes).not.toHaveProperty('data-ai-form-schema');
+    });
+  });
+  
+  test('standard is the default', () => {
+    expect(transform(SIGNUP).code).toBe(transform(SIGNUP, { optimizationLevel: 'standard' }).code);
+  });
+  
+  test('advanced adds inferred descriptions and form schemas', () => {
+    const { elements } = transform(SIGNUP, { optimizationLevel: 'advanced' });
+    
+    expect(attributesOf(elements, 'input')).toMatchObject({ 'data-ai-description': 'Email' });
+    expect(attributesOf(elements, 'button')).toMatchObject({ 'data-ai-description': 'Create account' });
+    expect(JSON.parse(attributesOf(elements, 'form')['data-ai-form-schema'])).toEqual({
+      fields: [{ name: 'email', type: 'email', required: true, label: 'Email' }]
+    });
+  });
+  
+  test('an unknown level is rejected', () => {
+    expect(() => transform(SIGNUP, { optimizationLevel: 'maximum' })).toThrow(
+      '[AI Optimizer] Unknown optimizationLevel "maximum". Expected one of: basic, standard, advanced'
+    );
+  });
+});
@@ -0,0 +1,248 @@
+// test/live.test.js
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { transform } = require('./transform');
+const { getFileMetadata } = require('../src/babel/registry');
+
+const LIVE_MANIFEST_KEY = Symbol.for('next-ai-optimizer.liveManifest');
+
+let dir;
+let live;
+
+/**
+ * Write a component to the project and compile it with metadata collection on
+ * @returns {{resource: string, buildInfo: Object}} The webpack module built from it
+ */
+function compileModule(file, code) {
+  const resource = path.join(dir, file);
+  
+  fs.mkdirSync(path.dirname(resource), { recursive: true });
+  fs.writeFileSync(resource, code);
+  transform(code, { collectMetadata: true }, resource);
+  
+  return { resource, buildInfo: { aiOptimizer: getFileMetadata(resource) } };
+}
+
+/**
+ * A compilation of some pages, each with one chunk holding its modules
+ */
+function createCompilation(pages) {
+  const modules = new Set(Object.values(pages).flat());
+  
+  return {
+    modules: Array.from(modules),
+    entrypoints: new Map(Object.keys(pages).map(entryName => [entryName, { chunks: [entryName] }])),
+    chunkGraph: { getChunkModulesIterable: chunk => pages[chunk] }
+  };
+}
+
+const NAV = 'export default function Nav() { return <a href="/cart">Cart</a>; }';
+const HOME = 'export default function Home() { return <main>Home</main>; }';
+const SEARCH = 'export default function Search() { return <form action="/search"><button>Go</button></form>; }';
+
+beforeEach(() => {
+  // Each test starts without a live manifest
+  delete globalThis[LIVE_MANIFEST_KEY];
+  jest.resetModules();
+  live = require('../src/next/live');
+  
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-optimizer-live-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('updateLiveManifest', () => {
+  test('reports added files and assembles the manifest', () => {
+    const nav = compileModule('components/Nav.jsx', NAV);
+    const home = compileModule('app/page.jsx', HOME);
+    
+    expect(live.updateLiveManifest(createCompilation({ 'app/page': [home, nav] }), dir)).toEqual([
+      { file: 'app/page.jsx', change: 'added' },
+      { file: 'components/Nav.jsx', change: 'added' }
+    ]);
+    
+    const { revision, manifest } = live.getLiveDocument();
+    expect(revision).toBe(1);
+    expect(manifest.routes).toEqual({ '/': { components: ['Home', 'Nav'] } });
+  });
+  
+  test('recompiling unchanged files changes nothing', () => {
+    const compilation = createCompilation({ 'app/page': [compileModule('app/page.jsx', HOME)] });
+    
+    live.updateLiveManifest(compilation, dir);
+    
+    expect(live.updateLiveManifest(compilation, dir)).toEqual([]);
+    expect(live.getLiveDocument().revision).toBe(1);
+  });
+  
+  test('reports files whose metadata changed', () => {
+    live.updateLiveManifest(createCompilation({ 'app/page': [compileModule('app/page.jsx', HOME)] }), dir);
+    
+    const edited = compileModule('app/page.jsx', HOME.replace('<main>Home</main>', '<main><button>Buy</button></main>'));
+    
+    expect(live.updateLiveManifest(createCompilation({ 'app/page': [edited] }), dir)).toEqual([
+      { file: 'app/page.jsx', change: 'updated' }
+    ]);
+    expect(live.getLiveDocument().revision).toBe(2);
+  });
+  
+  test('keeps the routes of pages that were not compiled this time', () => {
+    const nav = compileModule('components/Nav.jsx', NAV);
+    
+    live.updateLiveManifest(createCompilation({ 'app/page': [compileModule('app/page.jsx', HOME), nav] }), dir);
+    live.updateLiveManifest(createCompilation({ 'app/search/page': [compileModule('app/search/page.jsx', SEARCH), nav] }), dir);
+    
+    const { manifest } = live.getLiveDocument();
+    expect(manifest.components.find(component => component.name === 'Nav').routes).toEqual(['/', '/search']);
+    expect(Object.keys(manifest.routes)).toEqual(['/', '/search']);
+  });
+  
+  test('drops the routes of recompiled pages that no longer include a file', () => {
+    const nav = compileModule('components/Nav.jsx', NAV);
+    const home = compileModule('app/page.jsx', HOME);
+    
+    live.updateLiveManifest(createCompilation({ 'app/page': [home, nav] }), dir);
+    
+    // The page stopped importing Nav, which another page still compiles
+    expect(live.updateLiveManifest(createCompilation({ 'app/page': [home], 'app/about/page': [nav] }), dir)).toEqual([
+      { file: 'components/Nav.jsx', change: 'updated' }
+    ]);
+    expect(live.getLiveDocument().manifest.routes).toEqual({
+      '/': { components: ['Home'] },
+      '/about': { components: ['Nav'] }
+    });
+  });
+  
+  test('reports deleted files and files that no longer have metadata', () => {
+    const nav = compileModule('components/Nav.jsx', NAV);
+    const home = compileModule('app/page.jsx', HOME);
+    const search = compileModule('app/search/page.jsx', SEARCH);
+    
+    live.updateLiveManifest(createCompilation({ 'app/page': [home, nav], 'app/search/page': [search] }), dir);
+    
+    fs.unlinkSync(search.resource);
+    
+    // Nav is still compiled, but no longer carries metadata
+    const changes = live.updateLiveManifest(createCompilation({
+      'app/page': [home, { resource: nav.resource, buildInfo: {} }]
+    }), dir);
+    
+    expect(changes).toEqual([
+      { file: 'components/Nav.jsx', change: 'removed' },
+      { file: 'app/search/page.jsx', change: 'removed' }
+    ]);
+    expect(live.getLiveDocument().manifest.components.map(component => component.name)).toEqual(['Home']);
+  });
+});
+
+describe('live manifest route', () => {
+  /**
+   * Read what has been written to an event stream so far, as parsed events
+   */
+  function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+      const [, name] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      
+      return { name, data: JSON.parse(data) };
+    });
+  }
+  
+  test('is unavailable until a compilation reported to it', async () => {
+    const response = live.createAILiveManifestRoute()(new Request('http://localhost:3000/api/ai-manifest'));
+    
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Cache-Control')).toBe('no-store');
+    expect((await response.json()).error).toMatch(/^No compilation has reported to the live manifest yet/);
+  });
+  
+  test('is not served in production', () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    
+    try {
+      const response = live.createAILiveManifestRoute()(new Request('http://localhost:3000/api/ai-manifest'));
+      expect(response.status).toBe(404);
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+  
+  test('a GET returns the current manifest', async () => {
+    live.updateLiveManifest(createCompilation({ 'app/page': [compileModule('app/page.jsx', HOME)] }), dir);
+    
+    const response = live.createAILiveManifestRoute()(new Request('http://localhost:3000/api/ai-manifest'));
+    const body = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(body.revision).toBe(1);
+    expect(body.manifest.routes).toEqual({ '/': { components: ['Home'] } });
+  });
+  
+  test('an event stream gets a change event per update until it is closed', async () => {
+    const home = compileModule('app/page.jsx', HOME);
+    live.updateLiveManifest(createCompilation({ 'app/page': [home] }), dir);
+    
+    const controller = new AbortController();
+    const response = live.createAILiveManifestRoute()(new Request('http://localhost:3000/api/ai-manifest', {
+      headers: { accept: 'text/event-stream' },
+      signal: controller.signal
+    }));
+    
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream; charset=utf-8');
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const read = async () => decoder.decode((await reader.read()).value);
+    
+    try {
+      expect(parseEvents(await read())).toEqual([{ name: 'ready', data: { revision: 1 } }]);
+      
+      live.updateLiveManifest(createCompilation({
+        'app/page': [home, compileModule('components/Nav.jsx', NAV)]
+      }), dir);
+      
+      const [change] = parseEvents(await read());
+      expect(change.name).toBe('change');
+      expect(change.data).toMatchObject({
+        revision: 2,
+        changes: [{ file: 'components/Nav.jsx', change: 'added' }]
+      });
+      expect(change.data.manifest.routes).toEqual({ '/': { components: ['Home', 'Nav'] } });
+    } finally {
+      // Also stops the keep-alive timer when an expectation fails
+      controller.abort();
+    }
+    
+    expect(await reader.read()).toEqual({ done: true, value: undefined });
+  });
+  
+  test('the Pages Router handler streams events too', () => {
+    live.updateLiveManifest(createCompilation({ 'app/page': [compileModule('app/page.jsx', HOME)] }), dir);
+    
+    const req = Object.assign(new EventEmitter(), { headers: { accept: 'text/event-stream' } });
+    const res = {
+      chunks: [],
+      setHeader: jest.fn(),
+      writeHead: jest.fn(),
+      write: chunk => res.chunks.push(chunk),
+      end: jest.fn()
+    };
+    
+    live.createAILiveManifestApiHandler()(req, res);
+    
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream; charset=utf-8' }));
+    expect(parseEvents(res.chunks.join(''))).toEqual([{ name: 'ready', data: { revision: 1 } }]);
+    
+    req.emit('close');
+    expect(res.end).toHaveBeenCalledTimes(1);
+    
+    // Closed streams get no more events
+    live.updateLiveManifest(createCompilation({ 'app/page': [compileModule('components/Nav.jsx', NAV)] }), dir);
+    expect(res.chunks).toHaveLength(1);
+  });
+});
@@ -0,0 +1,71 @@
+// test/llms.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeLlmsFiles } = require('../src/next/llms');
+
+describe('writing llms files', () => {
+  let dir;
+  let outputDir;
+  
+  const read = file => fs.readFileSync(path.join(outputDir, file), 'utf8');
+  const exists = file => fs.existsSync(path.join(outputDir, file));
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-optimizer-llms-'));
+    outputDir = path.join(dir, 'public');
+    fs.mkdirSync(path.join(outputDir, 'llms'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'llms/notes.md'), 'Written by hand');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+  
+  test('files the plugin did not write are kept', () => {
+    writeLlmsFiles(dir, outputDir, new Map([
+      ['llms.txt', '# Shop\n'],
+      ['llms/index.md', '# Home\n']
+    ]));
+    
+    expect(read('llms.txt')).toBe('# Shop\n');
+    expect(read('llms/index.md')).toBe('# Home\n');
+    expect(read('llms/notes.md')).toBe('Written by hand');
+  });
+  
+  test('summaries of routes that no longer exist are removed', () => {
+    writeLlmsFiles(dir, outputDir, new Map([
+      ['llms.txt', '# Shop\n'],
+      ['llms/index.md', '# Home\n'],
+      ['llms/sale.md', '# Sale\n']
+    ]));
+    writeLlmsFiles(dir, outputDir, new Map([
+      ['llms.txt', '# Shop\n'],
+      ['llms/index.md', '# Home, updated\n']
+    ]));
+    
+    expect(exists('llms/sale.md')).toBe(false);
+    expect(read('llms/index.md')).toBe('# Home, updated\n');
+    expect(read('llms/notes.md')).toBe('Written by hand');
+  });
+  
+  test('files the plugin did not write are not overwritten', () => {
+    fs.writeFileSync(path.join(outputDir, 'llms.txt'), 'Written by hand');
+    
+    writeLlmsFiles(dir, outputDir, new Map([['llms.txt', '# Shop\n']]));
+    
+    expect(read('llms.txt')).toBe('Written by hand');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('public/llms.txt was not written by the optimizer'));
+  });
+  
+  test('the list of written files cannot point outside the output directory', () => {
+    fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+    fs.writeFileSync(path.join(outputDir, 'llms/.generated.json'), JSON.stringify(['../package.json']));
+    
+    writeLlmsFiles(dir, outputDir, new Map([['llms.txt', '# Shop\n']]));
+    
+    expect(fs.existsSync(path.join(dir, 'package.json'))).toBe(true);
+  });
+});
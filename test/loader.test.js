@@ -0,0 +1,90 @@
+// test/loader.test.js
+const { parse } = require('@babel/parser');
+const { types: t } = require('@babel/core');
+const aiOptimizerLoader = require('../src/next/loader');
+const { getFileMetadata } = require('../src/babel/registry');
+
+/**
+ * Run the loader the way webpack does
+ */
+function runLoader(source, options = {}, resourcePath = '/app/components/Example.jsx') {
+  return new Promise((resolve, reject) => {
+    aiOptimizerLoader.call({
+      resourcePath,
+      rootContext: '/app',
+      sourceMap: false,
+      getOptions: () => options,
+      async: () => (error, code) => (error ? reject(error) : resolve(code))
+    }, source);
+  });
+}
+
+/**
+ * Parse the loader's output as JSX, which SWC compiles next, and collect the
+ * values of the attributes the plugin added
+ */
+function getGeneratedAttributes(code) {
+  const attributes = [];
+  
+  t.traverseFast(parse(code, { sourceType: 'module', plugins: ['jsx'] }), node => {
+    if (!t.isJSXAttribute(node) || !node.name.name.startsWith('data-ai-')) return;
+    
+    const value = t.isJSXExpressionContainer(node.value) ? node.value.expression : node.value;
+    attributes.push([node.name.name, value.value]);
+  });
+  
+  return attributes;
+}
+
+describe('loader output', () => {
+  test('attribute values that need escaping stay valid JSX', async () => {
+    const code = await runLoader(`
+export default function Greeting() {
+  return (
+    <form action="/greet">
+      <label htmlFor="message">Message</label>
+      <input id="message" name="message" required />
+      <button aria-label={'Say "hi" \\\\ wave'}>Send</button>
+      <a href="/cafe" aria-label="Café &amp; bar">Café</a>
+    </form>
+  );
+}`, { optimizationLevel: 'advanced' });
+
+    const attributes = getGeneratedAttributes(code);
+    const schema = attributes.find(([name]) => name === 'data-ai-form-schema')[1];
+    
+    expect(JSON.parse(schema)).toEqual({
+      fields: [{ name: 'message', type: 'text', required: true, label: 'Message' }]
+    });
+    expect(attributes).toContainEqual(['data-ai-description', 'Say "hi" \\ wave']);
+    expect(attributes).toContainEqual(['data-ai-description', 'Café & bar']);
+  });
+  
+  test('plain values stay string attributes', async () => {
+    const code = await runLoader('export const Cart = () => <button>Checkout</button>;', {
+      optimizationLevel: 'advanced'
+    });
+    
+    expect(code).toContain('data-ai-description="Checkout"');
+  });
+  
+  test('form schemas are JSX expressions', async () => {
+    // collectMetadata keeps the unlabelled field from being logged
+    const code = await runLoader('export const Search = () => <form><input name="q" /></form>;', {
+      optimizationLevel: 'advanced',
+      collectMetadata: true
+    });
+    
+    expect(code).toContain('data-ai-form-schema={"{\\"fields\\":[{\\"name\\":\\"q\\",\\"type\\":\\"text\\",\\"required\\":false}]}"}');
+  });
+  
+  test('files the loader skips lose their earlier metadata', async () => {
+    const filename = '/app/components/Banner.jsx';
+    
+    await runLoader('export const Banner = () => <a href="/sale">Sale</a>;', { collectMetadata: true }, filename);
+    expect(getFileMetadata(filename).targets).toHaveLength(1);
+    
+    await runLoader('export const Banner = () => null;', { collectMetadata: true }, filename);
+    expect(getFileMetadata(filename)).toBeUndefined();
+  });
+});
@@ -0,0 +1,160 @@
+// test/manifest.test.js
+const { transform } = require('./transform');
+const { getFileMetadata } = require('../src/babel/registry');
+const { assembleManifest, collectFiles, getRouteFromEntry } = require('../src/next/manifest');
+
+const DIR = '/app';
+
+/**
+ * Compile a file with metadata collection on and return what it recorded
+ */
+function compile(filename, code) {
+  transform(code, { collectMetadata: true, optimizationLevel: 'advanced' }, filename);
+  return getFileMetadata(filename);
+}
+
+const NAV = compile('/app/components/Nav.jsx', `
+import Link from 'next/link';
+
+/**
+ * Site navigation
+ * @ai-intent Move between the shop's sections
+ */
+export default function Nav() {
+  return (
+    <nav>
+      <Link href="/cart">Cart</Link>
+      <button onClick={openMenu} aria-label="Menu" />
+    </nav>
+  );
+}`);
+
+const SEARCH = compile('/app/app/search/page.jsx', `
+export default function SearchPage() {
+  return (
+    <form action="/search">
+      <label htmlFor="q">Query</label>
+      <input id="q" name="q" />
+      <button type="submit">Search</button>
+    </form>
+  );
+}
+
+// ai-optimizer-disable-next-line
+export const Legacy = () => <button>Old</button>;`);
+
+describe('getRouteFromEntry', () => {
+  test.each([
+    ['pages/index', '/'],
+    ['pages/blog/[slug]', '/blog/[slug]'],
+    ['pages/docs/index', '/docs'],
+    ['app/page', '/'],
+    ['app/shop/[id]/page', '/shop/[id]'],
+    ['app/(marketing)/about/page', '/about'],
+    ['app/@modal/login/page', '/login'],
+    ['app\\settings\\page', '/settings']
+  ])('%s serves %s', (entryName, route) => {
+    expect(getRouteFromEntry(entryName)).toBe(route);
+  });
+  
+  test.each([
+    'pages/_app',
+    'pages/_document',
+    'pages/_error',
+    'pages/api/users',
+    'app/layout',
+    'app/shop/loading',
+    'webpack-runtime'
+  ])('%s is not a page', entryName => {
+    expect(getRouteFromEntry(entryName)).toBeNull();
+  });
+});
+
+describe('assembleManifest', () => {
+  const manifest = assembleManifest(new Map([
+    ['/app/components/Nav.jsx', { metadata: NAV, routes: new Set(['/search', '/']) }],
+    ['/app/app/search/page.jsx', { metadata: SEARCH, routes: new Set(['/search']) }]
+  ]), DIR);
+  
+  test('lists components with their docs, targets and the routes of their file', () => {
+    expect(manifest.version).toBe(1);
+    expect(manifest.components.map(component => [component.file, component.name, component.routes])).toEqual([
+      ['app/search/page.jsx', 'Legacy', ['/search']],
+      ['app/search/page.jsx', 'SearchPage', ['/search']],
+      ['components/Nav.jsx', 'Nav', ['/', '/search']]
+    ]);
+    
+    expect(manifest.components[2]).toMatchObject({
+      description: 'Site navigation',
+      intent: "Move between the shop's sections",
+      action: null,
+      props: []
+    });
+  });
+  
+  test('describes interactive elements, navigation and forms per component', () => {
+    const nav = manifest.components[2];
+    const search = manifest.components[1];
+    
+    expect(nav.targets).toHaveLength(3);
+    expect(nav.elements).toEqual([
+      { target: expect.stringMatching(/^Nav-Link-/), element: 'Link', action: 'navigate', description: 'Cart' },
+      { target: expect.stringMatching(/^Nav-button-/), element: 'button', action: 'click', description: 'Menu' }
+    ]);
+    expect(nav.navigation).toEqual([{ target: expect.stringMatching(/^Nav-Link-/), href: '/cart' }]);
+    expect(search.forms).toEqual([{
+      target: expect.stringMatching(/^SearchPage-form-/),
+      fields: [{ name: 'q', type: 'text', required: false, label: 'Query' }]
+    }]);
+  });
+  
+  test('lists the components of each route', () => {
+    expect(manifest.routes).toEqual({
+      '/': { components: ['Nav'] },
+      '/search': { components: ['Legacy', 'Nav', 'SearchPage'] }
+    });
+  });
+  
+  test('lists skipped regions by file', () => {
+    expect(manifest.skipped).toEqual([
+      { file: 'app/search/page.jsx', reason: 'disable-line', element: 'button', component: 'Legacy', line: 13 }
+    ]);
+  });
+});
+
+describe('collectFiles', () => {
+  /**
+   * A webpack module built from a file, optionally with optimizer metadata
+   */
+  const createModule = (resource, metadata) => ({ resource, buildInfo: metadata ? { aiOptimizer: metadata } : {} });
+  
+  test('attributes files to the pages whose chunks include them', () => {
+    const nav = createModule('/app/components/Nav.jsx', NAV);
+    const search = createModule('/app/app/search/page.jsx?__next_ssr', SEARCH);
+    const layout = createModule('/app/app/layout.jsx');
+    // Concatenated modules are flattened into the modules they were built from
+    const concatenated = { modules: [nav, layout] };
+    
+    const chunks = {
+      home: [concatenated],
+      search: [search, concatenated],
+      app: [nav]
+    };
+    
+    const compilation = {
+      modules: [concatenated, search],
+      entrypoints: new Map([
+        ['app/page', { chunks: ['home'] }],
+        ['app/search/page', { chunks: ['search'] }],
+        ['pages/_app', { chunks: ['app'] }]
+      ]),
+      chunkGraph: { getChunkModulesIterable: chunk => chunks[chunk] }
+    };
+    
+    const files = collectFiles(compilation);
+    
+    expect(Array.from(files.keys())).toEqual(['/app/components/Nav.jsx', '/app/app/search/page.jsx']);
+    expect(Array.from(files.get('/app/components/Nav.jsx').routes).sort()).toEqual(['/', '/search']);
+    expect(Array.from(files.get('/app/app/search/page.jsx').routes)).toEqual(['/search']);
+  });
+});
@@ -0,0 +1,202 @@
+// test/middleware.test.js
+const { NextRequest } = require('next/server');
+const {
+  createAIAgentMiddleware,
+  createAIAgentToken,
+  detectAIAgent,
+  AI_AGENT_DETECTED_HEADER
+} = require('../src/next/middleware');
+
+const SECRET = 'test-secret';
+
+/**
+ * Create a request as the middleware receives it
+ */
+function createRequest(url = 'https://shop.example/', headers = {}) {
+  return new NextRequest(url, { headers });
+}
+
+/**
+ * Read the request headers a NextResponse.next() response passes on
+ */
+function getForwardedHeader(response, name) {
+  return response.headers.get(`x-middleware-request-${name}`);
+}
+
+describe('agent tokens', () => {
+  test('a token verifies with the secret it was signed with', async () => {
+    const token = await createAIAgentToken(SECRET);
+    
+    expect(token).toMatch(/^\d+\.[\w-]+$/);
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${token}`), { secret: SECRET })).toBe('token');
+  });
+  
+  test('a token in the cookie verifies too', async () => {
+    const token = await createAIAgentToken(SECRET);
+    const request = createRequest('https://shop.example/', { cookie: `ai-agent-token=${token}` });
+    
+    expect(await detectAIAgent(request, { secret: SECRET })).toBe('token');
+  });
+  
+  test('an expired token is rejected', async () => {
+    const token = await createAIAgentToken(SECRET, { expiresIn: -60 });
+    
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${token}`), { secret: SECRET })).toBeNull();
+  });
+  
+  test('a tampered signature is rejected', async () => {
+    const [expires, signature] = (await createAIAgentToken(SECRET)).split('.');
+    const tampered = `${expires}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+    
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${tampered}`), { secret: SECRET })).toBeNull();
+  });
+  
+  test('a token with a different expiry than it was signed for is rejected', async () => {
+    const [expires, signature] = (await createAIAgentToken(SECRET)).split('.');
+    const extended = `${Number(expires) + 3600}.${signature}`;
+    
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${extended}`), { secret: SECRET })).toBeNull();
+  });
+  
+  test('a token signed with another secret is rejected', async () => {
+    const token = await createAIAgentToken('another-secret');
+    
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${token}`), { secret: SECRET })).toBeNull();
+  });
+  
+  test('malformed tokens are rejected', async () => {
+    for (const token of ['', 'abc', '123', '123.', 'abc.def', '123.!!!']) {
+      const request = createRequest(`https://shop.example/?ai-agent-token=${encodeURIComponent(token)}`);
+      
+      expect(await detectAIAgent(request, { secret: SECRET })).toBeNull();
+    }
+  });
+  
+  test('tokens are ignored without a secret', async () => {
+    const token = await createAIAgentToken(SECRET);
+    
+    expect(await detectAIAgent(createRequest(`https://shop.example/?ai-agent-token=${token}`))).toBeNull();
+  });
+  
+  test('a secret is required to create a token', async () => {
+    await expect(createAIAgentToken('')).rejects.toThrow('[AI Optimizer] createAIAgentToken needs the middleware secret');
+  });
+});
+
+describe('detectAIAgent', () => {
+  test('known agent user agents are detected', async () => {
+    const request = createRequest('https://shop.example/', {
+      'user-agent': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)'
+    });
+    
+    expect(await detectAIAgent(request)).toBe('user-agent');
+  });
+  
+  test('browsers are not detected', async () => {
+    const request = createRequest('https://shop.example/', {
+      'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+    });
+    
+    expect(await detectAIAgent(request)).toBeNull();
+  });
+  
+  test('custom user agents match as strings or patterns', async () => {
+    const options = { userAgents: ['shopbot', /^Crawler\//] };
+    
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'user-agent': 'ShopBot/2' }), options)).toBe('user-agent');
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'user-agent': 'Crawler/1' }), options)).toBe('user-agent');
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'user-agent': 'ClaudeBot/1.0' }), options)).toBeNull();
+  });
+  
+  test('the agent header is detected unless it says no', async () => {
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'x-ai-agent': '1' }))).toBe('header');
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'x-ai-agent': 'false' }))).toBeNull();
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'x-ai-agent': '0' }))).toBeNull();
+  });
+  
+  test('header: false ignores the agent header', async () => {
+    const request = createRequest('https://shop.example/', { 'x-ai-agent': '1' });
+    
+    expect(await detectAIAgent(request, { header: false })).toBeNull();
+  });
+  
+  test('a custom header replaces the default one', async () => {
+    const options = { header: 'x-shop-agent' };
+    
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'x-shop-agent': 'yes' }), options)).toBe('header');
+    expect(await detectAIAgent(createRequest('https://shop.example/', { 'x-ai-agent': '1' }), options)).toBeNull();
+  });
+});
+
+describe('createAIAgentMiddleware', () => {
+  test('detected agents get the request header and the cookie', async () => {
+    const middleware = createAIAgentMiddleware();
+    const response = await middleware(createRequest('https://shop.example/', { 'x-ai-agent': '1' }));
+    
+    expect(getForwardedHeader(response, AI_AGENT_DETECTED_HEADER)).toBe('header');
+    expect(response.cookies.get('ai-agent')).toMatchObject({ value: 'header', path: '/', sameSite: 'lax', secure: true });
+  });
+  
+  test('a detection header sent by the client is removed', async () => {
+    const middleware = createAIAgentMiddleware();
+    const response = await middleware(createRequest('https://shop.example/', { [AI_AGENT_DETECTED_HEADER]: 'token' }));
+    
+    // Next.js replaces the request headers with the listed ones
+    expect(response.headers.get('x-middleware-override-headers').split(',')).not.toContain(AI_AGENT_DETECTED_HEADER);
+    expect(getForwardedHeader(response, AI_AGENT_DETECTED_HEADER)).toBeNull();
+    expect(response.cookies.get('ai-agent')).toBeUndefined();
+  });
+  
+  test('a detection header sent by the client is replaced by the real detection', async () => {
+    const middleware = createAIAgentMiddleware();
+    const response = await middleware(createRequest('https://shop.example/', {
+      [AI_AGENT_DETECTED_HEADER]: 'token',
+      'user-agent': 'GPTBot/1.0'
+    }));
+    
+    expect(getForwardedHeader(response, AI_AGENT_DETECTED_HEADER)).toBe('user-agent');
+  });
+  
+  test('the detection cookie is cleared once the visitor is no longer detected', async () => {
+    const middleware = createAIAgentMiddleware();
+    const response = await middleware(createRequest('https://shop.example/', { cookie: 'ai-agent=header' }));
+    
+    expect(response.cookies.get('ai-agent')).toMatchObject({ value: '' });
+    expect(response.headers.get('set-cookie')).toMatch(/ai-agent=;.*Expires=Thu, 01 Jan 1970/);
+  });
+  
+  test('a token in the URL is kept in an httpOnly cookie until it expires', async () => {
+    const middleware = createAIAgentMiddleware({ secret: SECRET });
+    const token = await createAIAgentToken(SECRET, { expiresIn: 3600 });
+    const response = await middleware(createRequest(`http://localhost:3000/?ai-agent-token=${token}`));
+    
+    expect(getForwardedHeader(response, AI_AGENT_DETECTED_HEADER)).toBe('token');
+    expect(response.cookies.get('ai-agent')).toMatchObject({ value: 'token', secure: false });
+    expect(response.cookies.get('ai-agent-token')).toMatchObject({
+      value: token,
+      httpOnly: true,
+      expires: new Date(Number(token.split('.')[0]) * 1000)
+    });
+  });
+  
+  test('an invalid token cookie is cleared', async () => {
+    const middleware = createAIAgentMiddleware({ secret: SECRET });
+    const token = await createAIAgentToken('another-secret');
+    const response = await middleware(createRequest('https://shop.example/', { cookie: `ai-agent-token=${token}` }));
+    
+    expect(getForwardedHeader(response, AI_AGENT_DETECTED_HEADER)).toBeNull();
+    expect(response.cookies.get('ai-agent-token')).toMatchObject({ value: '' });
+  });
+  
+  test('invalid options fail when the middleware is created', () => {
+    expect(() => createAIAgentMiddleware({ userAgents: 'GPTBot' })).toThrow(
+      '[AI Optimizer] userAgents must be an array of strings or regular expressions'
+    );
+    expect(() => createAIAgentMiddleware({ header: '' })).toThrow(
+      '[AI Optimizer] header must be a header name, or false to ignore agent headers'
+    );
+    expect(() => createAIAgentMiddleware({ secret: '' })).toThrow(
+      '[AI Optimizer] secret must be a non-empty string. Is its environment variable set?'
+    );
+  });
+});
@@ -0,0 +1,118 @@
+// test/navigation.test.js
+const { transform, attributesOf } = require('./transform');
+
+/**
+ * Render elements inside a Page component and get the navigation
+ * attributes of the first one with a name
+ */
+function navigationOf(jsx, name = 'a', preamble = '') {
+  const { elements } = transform(`${preamble}
+export default function Page({ post, user, section }) {
+  return <main>${jsx}</main>;
+}`, { collectMetadata: true });
+  
+  const attributes = attributesOf(elements, name);
+  
+  return {
+    action: attributes['data-ai-action'],
+    href: attributes['data-ai-href']
+  };
+}
+
+describe('hrefs', () => {
+  test.each([
+    ['"/cart"', '/cart'],
+    ['{"/cart"}', '/cart'],
+    ['{`/blog/${post.slug}`}', '/blog/[slug]'],
+    ['{`/users/${user.id}/posts/${post.id}`}', '/users/[id]/posts/[id]'],
+    ["{'/blog/' + post.slug}", '/blog/[slug]'],
+    ["{'/users/' + user.id + '/settings'}", '/users/[id]/settings'],
+    ["{'/blog/' + `${post.year}/` + post.slug}", '/blog/[year]/[slug]'],
+    ["{{ pathname: '/blog/[slug]', query: { slug: post.slug } }}", '/blog/[slug]'],
+    ["{{ pathname: '/blog/' + post.slug }}", '/blog/[slug]']
+  ])('href=%s resolves to %s', (href, route) => {
+    expect(navigationOf(`<a href=${href}>Link</a>`)).toEqual({ action: 'navigate', href: route });
+  });
+  
+  test.each([
+    '{post.url}',
+    '{getHref(post)}',
+    '{post.id + 1}'
+  ])('href=%s navigates somewhere unknown', href => {
+    expect(navigationOf(`<a href=${href}>Link</a>`)).toEqual({ action: 'navigate', href: undefined });
+  });
+});
+
+describe('links that do not navigate', () => {
+  test.each([
+    '"#reviews"',
+    '"#"',
+    '"mailto:help@shop.example"',
+    '"MAILTO:help@shop.example"',
+    '"tel:+15555550123"',
+    '{`mailto:${user.email}`}',
+    "{'#' + section.id}"
+  ])('href=%s is clicked', href => {
+    expect(navigationOf(`<a href=${href}>Link</a>`)).toEqual({ action: 'click', href: undefined });
+  });
+  
+  test('a next/link to an anchor is clicked too', () => {
+    expect(navigationOf('<Link href="#reviews">Reviews</Link>', 'Link', "import Link from 'next/link';"))
+      .toEqual({ action: 'click', href: undefined });
+  });
+  
+  test('anchors without an href are clicked', () => {
+    expect(navigationOf('<a onClick={section.open}>Open</a>')).toEqual({ action: 'click', href: undefined });
+  });
+  
+  test('they are not listed as navigation in the manifest', () => {
+    const { metadata } = transform(`
+      export default function Footer() {
+        return (
+          <footer>
+            <a href="/contact">Contact</a>
+            <a href="mailto:help@shop.example">Email us</a>
+          </footer>
+        );
+      }
+    `, { collectMetadata: true });
+    
+    expect(metadata.aiTargets.filter(target => target.action === 'navigate').map(target => target.href))
+      .toEqual(['/contact']);
+  });
+});
+
+describe('links and routers', () => {
+  test('next/link is matched through its import binding', () => {
+    expect(navigationOf('<NextLink href={`/blog/${post.slug}`}>Post</NextLink>', 'NextLink', "import NextLink from 'next/link';"))
+      .toEqual({ action: 'navigate', href: '/blog/[slug]' });
+  });
+  
+  test('router.push() in an onClick handler navigates', () => {
+    const { elements } = transform(`
+      import { useRouter } from 'next/navigation';
+      
+      export default function Page({ post }) {
+        const router = useRouter();
+        const openPost = () => router.push('/blog/' + post.slug);
+        
+        return <button onClick={openPost}>Read</button>;
+      }
+    `, { collectMetadata: true });
+    
+    expect(attributesOf(elements, 'button')).toMatchObject({
+      'data-ai-action': 'navigate',
+      'data-ai-href': '/blog/[slug]'
+    });
+  });
+  
+  test('push() on anything but a Next.js router does not', () => {
+    const { elements } = transform(`
+      export default function Page({ history }) {
+        return <button onClick={() => history.push('/cart')}>Cart</button>;
+      }
+    `, { collectMetadata: true });
+    
+    expect(attributesOf(elements, 'button')['data-ai-action']).toBe('click');
+  });
+});
@@ -0,0 +1,137 @@
+// test/options.test.js
+const { resolveOptions } = require('../src/next/options');
+
+describe('resolveOptions', () => {
+  const env = { ...process.env };
+  
+  beforeEach(() => {
+    delete process.env.OPTIMIZE_FOR_AI;
+    delete process.env.AI_OPTIMIZATION_LEVEL;
+  });
+  
+  afterEach(() => {
+    process.env = { ...env };
+  });
+  
+  test('fills in the defaults', () => {
+    expect(resolveOptions()).toEqual({
+      environments: ['production'],
+      level: 'standard',
+      include: undefined,
+      exclude: undefined,
+      attributePrefix: 'data-ai-',
+      helper: true,
+      manifestPath: undefined,
+      strict: false,
+      sourceLocations: true,
+      componentMappings: {},
+      llms: false
+    });
+  });
+  
+  test('keeps the options it is given', () => {
+    expect(resolveOptions({
+      environments: ['development', 'production'],
+      level: 'advanced',
+      exclude: ['app/admin/**'],
+      manifestPath: false,
+      strict: true
+    })).toMatchObject({
+      environments: ['development', 'production'],
+      level: 'advanced',
+      exclude: ['app/admin/**'],
+      manifestPath: false,
+      strict: true,
+      sourceLocations: true
+    });
+  });
+  
+  test('llms: true enables the defaults, and objects are merged into them', () => {
+    expect(resolveOptions({ llms: true }).llms).toEqual({
+      title: undefined,
+      description: undefined,
+      outputDir: 'public',
+      routes: {}
+    });
+    expect(resolveOptions({ llms: { title: 'Shop', routes: { '/cart': { title: 'Cart' } } } }).llms).toEqual({
+      title: 'Shop',
+      description: undefined,
+      outputDir: 'public',
+      routes: { '/cart': { title: 'Cart' } }
+    });
+  });
+  
+  test('lists every invalid option at once', () => {
+    expect(() => resolveOptions({
+      exlude: ['app/admin/**'],
+      environments: ['staging'],
+      level: 'max',
+      strict: 'yes',
+      manifestPath: '',
+      attributePrefix: 'ai-',
+      llms: { outputDir: '', routes: { about: {} } },
+      include: 'app/**',
+      componentMappings: []
+    })).toThrow([
+      '[AI Optimizer] Invalid withAIOptimizer options:',
+      '  - Unknown option "exlude". Valid options are: environments, level, include, exclude, attributePrefix, ' +
+        'helper, manifestPath, strict, sourceLocations, componentMappings, llms',
+      '  - environments must be an array of "development" or "production"',
+      '  - level must be "basic", "standard" or "advanced". Received "max"',
+      '  - strict must be a boolean',
+      '  - manifestPath must be a file path, or false to skip the manifest',
+      '  - attributePrefix must be a lowercase data attribute prefix ending in "-", such as "data-agent-". Received "ai-"',
+      '  - llms.outputDir must be a non-empty string',
+      '  - llms.routes["about"] must be a route starting with "/", mapped to { title?, description? } strings',
+      '  - include must be an array of glob patterns',
+      '  - Invalid componentMappings: expected an object keyed by import source'
+    ].join('\n'));
+  });
+  
+  test('a custom attributePrefix needs the helper script turned off', () => {
+    expect(() => resolveOptions({ attributePrefix: 'data-agent-' })).toThrow(
+      '  - attributePrefix "data-agent-" needs helper: false. ' +
+      'window.AIHelper and AIAgentProvider only read data-ai- attributes'
+    );
+    expect(resolveOptions({ attributePrefix: 'data-agent-', helper: false })).toMatchObject({
+      attributePrefix: 'data-agent-',
+      helper: false
+    });
+    expect(() => resolveOptions({ helper: 'no' })).toThrow('  - helper must be a boolean');
+  });
+  
+  test('options must be an object', () => {
+    expect(() => resolveOptions([])).toThrow('[AI Optimizer] withAIOptimizer options must be an object');
+    expect(() => resolveOptions(null)).toThrow('[AI Optimizer] withAIOptimizer options must be an object');
+  });
+  
+  test('OPTIMIZE_FOR_AI=true optimizes every environment', () => {
+    process.env.OPTIMIZE_FOR_AI = 'true';
+    
+    const options = resolveOptions({ environments: [] });
+    expect(options.environments).toEqual(['development', 'production']);
+    
+    // Each call gets a list of its own
+    options.environments.pop();
+    expect(resolveOptions().environments).toEqual(['development', 'production']);
+  });
+  
+  test('OPTIMIZE_FOR_AI=false optimizes nothing and leaves out source locations', () => {
+    process.env.OPTIMIZE_FOR_AI = 'false';
+    
+    expect(resolveOptions({ environments: ['development'] })).toMatchObject({
+      environments: [],
+      sourceLocations: false
+    });
+  });
+  
+  test('AI_OPTIMIZATION_LEVEL replaces the level and is validated by name', () => {
+    process.env.AI_OPTIMIZATION_LEVEL = 'basic';
+    expect(resolveOptions({ level: 'advanced' }).level).toBe('basic');
+    
+    process.env.AI_OPTIMIZATION_LEVEL = 'full';
+    expect(() => resolveOptions()).toThrow(
+      'AI_OPTIMIZATION_LEVEL must be "basic", "standard" or "advanced". Received "full"'
+    );
+  });
+});
@@ -0,0 +1,154 @@
+// test/props.test.js
+const { transform } = require('./transform');
+
+/**
+ * Compile a source and get the props recorded for one of its components
+ */
+function propsOf(code, componentName, filename) {
+  const { metadata } = transform(code, { collectMetadata: true }, filename);
+  return metadata.aiComponents.find(component => component.name === componentName).props;
+}
+
+describe('props read by components', () => {
+  test('destructured props keep their defaults', () => {
+    const props = propsOf(`
+      export function Button({ label, size = 'md', count = 2, onPress = () => {}, ...rest }) {
+        return <button onClick={onPress} {...rest}>{label}</button>;
+      }
+    `, 'Button');
+    
+    expect(props).toEqual([
+      { name: 'label', type: null, required: false },
+      { name: 'size', type: null, required: false, defaultValue: 'md' },
+      { name: 'count', type: null, required: false, defaultValue: 2 },
+      // Defaults that are not literals are kept as source text
+      { name: 'onPress', type: null, required: false, defaultValue: '() => {}' },
+      { name: 'rest', type: null, required: false }
+    ]);
+  });
+  
+  test('props.x access is a prop', () => {
+    const props = propsOf(`
+      export function Card(props) {
+        return <div onClick={props.onOpen}>{props.title}</div>;
+      }
+    `, 'Card');
+    
+    expect(props.map(prop => prop.name)).toEqual(['onOpen', 'title']);
+  });
+  
+  test('class components read this.props and static defaultProps', () => {
+    const props = propsOf(`
+      export class Panel extends React.Component {
+        static defaultProps = { open: false };
+        
+        render() {
+          const { heading } = this.props;
+          return <section onClick={this.props.onToggle}>{heading}</section>;
+        }
+      }
+    `, 'Panel');
+    
+    expect(props).toEqual([
+      { name: 'heading', type: null, required: false },
+      { name: 'onToggle', type: null, required: false },
+      { name: 'open', type: null, required: false, defaultValue: false }
+    ]);
+  });
+});
+
+describe('propTypes', () => {
+  test('validators are typed, required and defaulted', () => {
+    const props = propsOf(`
+      import PropTypes from 'prop-types';
+      
+      export function Select({ value, options, onChange }) {
+        return <select value={value} onChange={onChange}>{options}</select>;
+      }
+      
+      Select.propTypes = {
+        value: PropTypes.string.isRequired,
+        options: PropTypes.node,
+        onChange: PropTypes.func,
+        variant: PropTypes.oneOf(['a', 'b']),
+        disabled: PropTypes.bool.isRequired
+      };
+      
+      Select.defaultProps = { disabled: true };
+    `, 'Select');
+    
+    expect(props).toEqual([
+      { name: 'value', type: 'string', required: true },
+      { name: 'options', type: 'ReactNode', required: false },
+      { name: 'onChange', type: 'function', required: false },
+      { name: 'variant', type: "oneOf(['a', 'b'])", required: false },
+      // A default makes a required prop optional
+      { name: 'disabled', type: 'boolean', required: false, defaultValue: true }
+    ]);
+  });
+});
+
+describe('TypeScript props', () => {
+  const FILENAME = '/app/components/Example.tsx';
+  
+  test('interfaces include the members they extend', () => {
+    const props = propsOf(`
+      interface BaseProps { id: string; className?: string }
+      
+      interface ButtonProps extends BaseProps {
+        label: string;
+        size?: 'sm' | 'md';
+        onPress(): void;
+      }
+      
+      export function Button({ label, size = 'md', onPress }: ButtonProps) {
+        return <button onClick={onPress}>{label}</button>;
+      }
+    `, 'Button', FILENAME);
+    
+    expect(props).toEqual([
+      { name: 'label', type: 'string', required: true },
+      { name: 'size', type: "'sm' | 'md'", required: false, defaultValue: 'md' },
+      { name: 'onPress', type: 'function', required: true },
+      { name: 'id', type: 'string', required: true },
+      { name: 'className', type: 'string', required: false }
+    ]);
+  });
+  
+  test('React.FC bindings with intersected type aliases', () => {
+    const props = propsOf(`
+      type LinkProps = { href: string } & { external?: boolean };
+      
+      export const NavLink: React.FC<LinkProps> = ({ href, external }) => (
+        <a href={href} target={external ? '_blank' : undefined}>Link</a>
+      );
+    `, 'NavLink', FILENAME);
+    
+    expect(props).toEqual([
+      { name: 'href', type: 'string', required: true },
+      { name: 'external', type: 'boolean', required: false }
+    ]);
+  });
+  
+  test('forwardRef and memo type arguments', () => {
+    const code = `
+      import { forwardRef, memo } from 'react';
+      
+      export const Input = forwardRef<HTMLInputElement, { name: string; onChange?: (value: string) => void }>((props, ref) => (
+        <input ref={ref} name={props.name} onChange={props.onChange} />
+      ));
+      
+      export const Row = memo<{ selected: boolean }>(({ selected }) => (
+        <li onClick={() => {}}>{String(selected)}</li>
+      ));
+    `;
+    
+    expect(propsOf(code, 'Input', FILENAME)).toEqual([
+      { name: 'name', type: 'string', required: true },
+      { name: 'onChange', type: '(value: string) => void', required: false }
+    ]);
+    expect(propsOf(code, 'Row', FILENAME)).toEqual([
+      { name: 'selected', type: 'boolean', required: true }
+    ]);
+  });
+});
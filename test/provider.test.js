@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+// test/provider.test.js
+const { createRoot } = require('react-dom/client');
+const { act } = require('react');
+const { AIAgentProvider, useAIAgent } = require('../src/react/AIAgentProvider');
+
+/**
+ * Report whether the provider is active
+ */
+function Probe() {
+  const { isAIAgent } = useAIAgent();
+  return <span id="probe">{String(isAIAgent)}</span>;
+}
+
+describe('AIAgentProvider modes', () => {
+  let container;
+  let root;
+  
+  /**
+   * Mount a provider and tell whether it activated once its effects ran
+   */
+  function isActive(props) {
+    act(() => {
+      root.render(<AIAgentProvider {...props}><Probe /></AIAgentProvider>);
+    });
+    
+    return container.querySelector('#probe').textContent === 'true';
+  }
+  
+  beforeAll(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+  
+  beforeEach(() => {
+    container = document.body.appendChild(document.createElement('div'));
+    root = createRoot(container);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    window.history.replaceState(null, '', '/');
+    document.cookie = 'ai-agent=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    jest.restoreAllMocks();
+  });
+  
+  test('always is the default and activates for every visitor', () => {
+    expect(isActive({})).toBe(true);
+    expect(container.querySelector('script')).not.toBeNull();
+  });
+  
+  test('detected activates for any detection', () => {
+    expect(isActive({ mode: 'detected', detection: 'user-agent' })).toBe(true);
+  });
+  
+  test('detected stays off for visitors that were not detected', () => {
+    expect(isActive({ mode: 'detected' })).toBe(false);
+    expect(container.querySelector('script')).toBeNull();
+  });
+  
+  test('detected reads the middleware cookie without a detection', () => {
+    document.cookie = 'ai-agent=user-agent';
+    
+    expect(isActive({ mode: 'detected' })).toBe(true);
+  });
+  
+  test('cookies that are not detections are ignored', () => {
+    document.cookie = 'ai-agent=yes';
+    
+    expect(isActive({ mode: 'detected' })).toBe(false);
+  });
+  
+  test('opt-in activates for agents that sent the header or a token', () => {
+    expect(isActive({ mode: 'opt-in', detection: 'header' })).toBe(true);
+    expect(isActive({ mode: 'opt-in', detection: 'token' })).toBe(true);
+  });
+  
+  test('opt-in stays off for agents only detected by their user agent', () => {
+    expect(isActive({ mode: 'opt-in', detection: 'user-agent' })).toBe(false);
+  });
+  
+  test('?ai-agent=true activates any mode', () => {
+    window.history.replaceState(null, '', '/?ai-agent=true');
+    
+    expect(isActive({ mode: 'opt-in' })).toBe(true);
+  });
+  
+  test('?ai-agent=false turns off any mode', () => {
+    window.history.replaceState(null, '', '/?ai-agent=false');
+    
+    expect(isActive({ mode: 'always' })).toBe(false);
+  });
+  
+  test('disableOptimization wins over the mode and the URL', () => {
+    window.history.replaceState(null, '', '/?ai-agent=true');
+    
+    expect(isActive({ disableOptimization: true })).toBe(false);
+  });
+  
+  test('an unknown mode is reported', () => {
+    isActive({ mode: 'sometimes' });
+    
+    expect(console.warn).toHaveBeenCalledWith(
+      '[AI Optimizer] Unknown AIAgentProvider mode "sometimes". Use "always", "detected" or "opt-in".'
+    );
+  });
+});
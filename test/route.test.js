@@ -0,0 +1,191 @@
+// test/route.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAIAgentRoute, createAgentDocument } = require('../src/next/route');
+
+const MANIFEST = {
+  routes: { '/': { file: 'app/page.jsx' } },
+  components: [],
+  actions: []
+};
+
+/**
+ * A build manifest with static, dynamic, catch-all and optional catch-all routes
+ */
+const SHOP_MANIFEST = {
+  version: 1,
+  routes: {
+    '/': { file: 'app/page.jsx' },
+    '/admin': { file: 'app/admin/page.jsx' },
+    '/blog/[slug]': { file: 'app/blog/[slug]/page.jsx' },
+    '/docs/[...path]': { file: 'app/docs/[...path]/page.jsx' },
+    '/shop/[[...filters]]': { file: 'app/shop/[[...filters]]/page.jsx' }
+  },
+  components: [
+    { name: 'Nav', file: 'components/Nav.jsx', description: 'Site navigation', targets: ['Nav-a-1'], routes: ['/', '/admin', '/blog/[slug]'] },
+    { name: 'Users', file: 'app/admin/Users.jsx', targets: ['Users-button-1'], routes: ['/admin'] },
+    { name: 'Unused', file: 'components/Unused.jsx', targets: [], routes: [] }
+  ],
+  actions: [
+    { name: 'deleteUser', module: 'app/admin/actions.js', component: 'Users', target: 'Users-form-1', routes: ['/admin'] },
+    { name: 'subscribe', module: 'app/actions.js', component: 'Footer', target: 'Footer-form-1', routes: [] }
+  ],
+  skipped: [{ file: 'app/legacy.jsx', reason: 'exclude' }]
+};
+
+describe('createAgentDocument', () => {
+  test('keeps what agents need and leaves out file paths and skipped regions', () => {
+    const document = createAgentDocument(SHOP_MANIFEST);
+    
+    expect(document.schemaVersion).toBe(1);
+    expect(Object.keys(document.routes)).toEqual(Object.keys(SHOP_MANIFEST.routes));
+    expect(document).not.toHaveProperty('skipped');
+    expect(document.components[0]).toEqual({
+      name: 'Nav',
+      description: 'Site navigation',
+      targets: ['Nav-a-1'],
+      routes: ['/', '/admin', '/blog/[slug]']
+    });
+    expect(document.actions[0]).not.toHaveProperty('module');
+  });
+  
+  test('shared code on no route is kept without filters', () => {
+    const document = createAgentDocument(SHOP_MANIFEST);
+    
+    expect(document.components.map(component => component.name)).toEqual(['Nav', 'Users', 'Unused']);
+    expect(document.actions.map(action => action.name)).toEqual(['deleteUser', 'subscribe']);
+  });
+  
+  test('filterRoute leaves out routes and what is only on them', () => {
+    const document = createAgentDocument(SHOP_MANIFEST, { filterRoute: route => route !== '/admin' });
+    
+    expect(document.routes).not.toHaveProperty('/admin');
+    expect(document.components.map(component => component.name)).toEqual(['Nav', 'Unused']);
+    expect(document.components[0].routes).toEqual(['/', '/blog/[slug]']);
+    expect(document.actions.map(action => action.name)).toEqual(['subscribe']);
+  });
+  
+  test('route keeps the matching route, and no shared code', () => {
+    const document = createAgentDocument(SHOP_MANIFEST, { route: '/admin' });
+    
+    expect(Object.keys(document.routes)).toEqual(['/admin']);
+    expect(document.components.map(component => component.name)).toEqual(['Nav', 'Users']);
+    expect(document.components[0].routes).toEqual(['/admin']);
+    expect(document.actions.map(action => action.name)).toEqual(['deleteUser']);
+  });
+  
+  test.each([
+    ['/', '/'],
+    ['/admin/', '/admin'],
+    ['/blog/hello', '/blog/[slug]'],
+    ['/blog/[slug]', '/blog/[slug]'],
+    ['/docs/guide/install', '/docs/[...path]'],
+    ['/shop', '/shop/[[...filters]]'],
+    ['/shop/shoes/red', '/shop/[[...filters]]']
+  ])('%s matches %s', (pathname, pattern) => {
+    expect(Object.keys(createAgentDocument(SHOP_MANIFEST, { route: pathname }).routes)).toEqual([pattern]);
+  });
+  
+  test.each([
+    '/blog',
+    '/blog/hello/comments',
+    '/docs',
+    '/administrator',
+    '/shop.json'
+  ])('%s matches no route', pathname => {
+    expect(createAgentDocument(SHOP_MANIFEST, { route: pathname }).routes).toEqual({});
+  });
+});
+
+describe('agent manifest route', () => {
+  let dir;
+  let manifestPath;
+  
+  /**
+   * Request the manifest and read the response
+   */
+  async function request() {
+    const response = createAIAgentRoute({ manifestPath })(new Request('https://shop.example/.well-known/ai-agent.json'));
+    
+    return {
+      status: response.status,
+      cacheControl: response.headers.get('Cache-Control'),
+      body: await response.json()
+    };
+  }
+  
+  /**
+   * Write the manifest with a modification time of its own, so that the
+   * route sees every write as a change
+   */
+  function writeManifest(content, time) {
+    fs.writeFileSync(manifestPath, content);
+    fs.utimesSync(manifestPath, time, time);
+  }
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-optimizer-route-'));
+    manifestPath = path.join(dir, 'ai-manifest.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('a missing manifest is not available', async () => {
+    expect(await request()).toEqual({
+      status: 503,
+      cacheControl: 'no-store',
+      body: { error: 'The AI manifest is not available. Run next build with withAIOptimizer.' }
+    });
+  });
+  
+  test('a manifest that cannot be parsed is not available either', async () => {
+    writeManifest('{"routes": {"/": ', 1000);
+    
+    expect(await request()).toEqual({
+      status: 503,
+      cacheControl: 'no-store',
+      body: { error: 'The AI manifest is not available. Run next build with withAIOptimizer.' }
+    });
+  });
+  
+  test('a manifest is served once it has been written completely', async () => {
+    writeManifest('{"routes": {"/": ', 2000);
+    await request();
+    
+    writeManifest(JSON.stringify(MANIFEST), 3000);
+    
+    const { status, body } = await request();
+    expect(status).toBe(200);
+    expect(body.routes).toEqual(MANIFEST.routes);
+  });
+  
+  test('a failed read is not cached', async () => {
+    writeManifest('', 4000);
+    expect((await request()).status).toBe(503);
+    
+    // Same modification time, as when a build finishes within its resolution
+    writeManifest(JSON.stringify(MANIFEST), 4000);
+    expect((await request()).status).toBe(200);
+  });
+  
+  test('?route= limits the document to one route', async () => {
+    writeManifest(JSON.stringify(SHOP_MANIFEST), 5000);
+    
+    const response = await createAIAgentRoute({ manifestPath })(new Request('https://shop.example/.well-known/ai-agent.json?route=/blog/hello'));
+    
+    expect(response.status).toBe(200);
+    expect(Object.keys((await response.json()).routes)).toEqual(['/blog/[slug]']);
+  });
+  
+  test('?route= that matches nothing is a 404', async () => {
+    writeManifest(JSON.stringify(SHOP_MANIFEST), 6000);
+    
+    const response = await createAIAgentRoute({ manifestPath })(new Request('https://shop.example/.well-known/ai-agent.json?route=/missing'));
+    
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'No route matches "/missing".' });
+  });
+});
@@ -0,0 +1,84 @@
+// test/sourceLocations.test.js
+const { transform, attributesOf } = require('./transform');
+const { withAIOptimizer } = require('../src/next/config');
+
+const CHECKOUT = `
+export default function Checkout() {
+  return (
+    <section>
+      <Summary />
+      <button onClick={pay}>Pay</button>
+    </section>
+  );
+}`;
+
+/**
+ * Run the webpack hook of a config on a compilation with one SWC rule
+ */
+function runWebpack(nextConfig, dev) {
+  const config = {
+    module: { rules: [{ test: /\.tsx$/, use: [{ loader: 'next/dist/build/webpack/loaders/next-swc-loader.js' }] }] },
+    plugins: []
+  };
+  
+  return nextConfig.webpack(config, { dev, isServer: true, dir: process.cwd(), config: nextConfig });
+}
+
+describe('source locations only', () => {
+  test('every element that can receive attributes gets its location and nothing else', () => {
+    const { elements } = transform(CHECKOUT, { sourceLocationsOnly: true, sourceLocations: true });
+    
+    expect(attributesOf(elements, 'section')).toEqual({
+      'data-ai-source': expect.stringMatching(/Example\.jsx:4:5$/)
+    });
+    expect(attributesOf(elements, 'Summary')).toEqual({});
+    expect(attributesOf(elements, 'button')).toEqual({
+      onClick: '{…}',
+      'data-ai-source': expect.stringMatching(/Example\.jsx:6:7$/)
+    });
+  });
+  
+  test('sourceLocations is still required', () => {
+    const { elements } = transform(CHECKOUT, { sourceLocationsOnly: true });
+    
+    expect(attributesOf(elements, 'section')).toEqual({});
+  });
+});
+
+describe('withAIOptimizer source locations', () => {
+  const { NODE_ENV } = process.env;
+  
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+  });
+  
+  test('next dev gets source locations when environments leaves it out', () => {
+    process.env.NODE_ENV = 'development';
+    
+    const nextConfig = withAIOptimizer({ turbopack: {} });
+    const config = runWebpack(nextConfig, true);
+    
+    expect(config.module.rules[0].use[1].options).toMatchObject({ sourceLocationsOnly: true, sourceLocations: true });
+    expect(config.plugins).toEqual([]);
+    expect(nextConfig.turbopack.rules['*.tsx'][0].options).toMatchObject({ sourceLocationsOnly: true });
+  });
+  
+  test('next dev stays untouched with sourceLocations: false', () => {
+    const nextConfig = withAIOptimizer({}, { sourceLocations: false });
+    
+    expect(runWebpack(nextConfig, true).module.rules[0].use).toHaveLength(1);
+  });
+  
+  test('next build is not given source locations', () => {
+    const config = runWebpack(withAIOptimizer({}, { environments: [] }), false);
+    
+    expect(config.module.rules[0].use).toHaveLength(1);
+  });
+  
+  test('optimized next dev builds add source locations to the full optimization', () => {
+    const config = runWebpack(withAIOptimizer({}, { environments: ['development'] }), true);
+    
+    expect(config.module.rules[0].use[1].options).toMatchObject({ collectMetadata: true, sourceLocations: true });
+    expect(config.module.rules[0].use[1].options).not.toHaveProperty('sourceLocationsOnly');
+  });
+});
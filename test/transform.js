@@ -0,0 +1,70 @@
+// test/transform.js
+const babel = require('@babel/core');
+const path = require('path');
+
+const PLUGIN = path.join(__dirname, '../src/babel/plugin.js');
+
+/**
+ * Run the plugin on a JSX source
+ * @param {string} code - The source
+ * @param {Object} [options] - Plugin options
+ * @param {string} [filename] - File the source is compiled as
+ * @returns {{code: string, metadata: Object, elements: Array<{name: string, attributes: Object}>}}
+ *   The output, the file metadata and the output's elements in source order,
+ *   with their static attributes
+ */
+function transform(code, options = {}, filename = '/app/components/Example.jsx') {
+  const result = babel.transformSync(code, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    ast: true,
+    parserOpts: { plugins: /\.tsx?$/.test(filename) ? ['jsx', 'typescript'] : ['jsx'] },
+    plugins: [[PLUGIN, options]]
+  });
+  
+  const elements = [];
+  babel.traverse(result.ast, {
+    JSXOpeningElement(elementPath) {
+      const { node } = elementPath;
+      const attributes = {};
+      
+      node.attributes.forEach(attr => {
+        if (attr.type !== 'JSXAttribute') return;
+        
+        const name = getName(attr.name);
+        const value = attr.value?.type === 'JSXExpressionContainer' ? attr.value.expression : attr.value;
+        
+        attributes[name] = value === null ? true : value.type === 'StringLiteral' ? value.value : '{…}';
+      });
+      
+      elements.push({ name: getName(node.name), attributes });
+    }
+  });
+  
+  return { code: result.code, metadata: result.metadata, elements };
+}
+
+/**
+ * Get the name of an element or attribute as written
+ */
+function getName(node) {
+  if (node.type === 'JSXNamespacedName') {
+    return `${node.namespace.name}:${node.name.name}`;
+  }
+  
+  if (node.type === 'JSXMemberExpression') {
+    return `${getName(node.object)}.${node.property.name}`;
+  }
+  
+  return node.name;
+}
+
+/**
+ * Get the attributes of the first element with a name
+ */
+function attributesOf(elements, name) {
+  return elements.find(element => element.name === name)?.attributes;
+}
+
+module.exports = { transform, attributesOf };
@@ -0,0 +1,66 @@
+// test/turbopack.test.js
+const { withTurbopackRules } = require('../src/next/turbopack');
+
+describe('Turbopack', () => {
+  const { TURBOPACK } = process.env;
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    if (TURBOPACK === undefined) {
+      delete process.env.TURBOPACK;
+    } else {
+      process.env.TURBOPACK = TURBOPACK;
+    }
+    jest.restoreAllMocks();
+  });
+  
+  test('says which outputs are unavailable under Turbopack', () => {
+    process.env.TURBOPACK = '1';
+    
+    withTurbopackRules({}, {});
+    
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('there is no ai-manifest.json, llms.txt, live manifest'));
+  });
+  
+  test('leaves the config alone on Next.js versions without loader rules, whatever the bundler', () => {
+    delete process.env.TURBOPACK;
+    
+    jest.isolateModules(() => {
+      jest.doMock(require.resolve('next/package.json'), () => ({ version: '13.4.19' }));
+      const { withTurbopackRules: withRules } = require('../src/next/turbopack');
+      const nextConfig = { reactStrictMode: true };
+      
+      expect(withRules(nextConfig, {})).toBe(nextConfig);
+    });
+    
+    expect(console.warn).toHaveBeenCalledWith(
+      '[AI Optimizer] Turbopack in Next.js 13.4.19 does not support loader rules, so next dev --turbo ' +
+      'does not optimize pages. Upgrade to Next.js 13.5 or later, or run without --turbo.'
+    );
+  });
+  
+  test('registers the rules under experimental.turbo before Next.js 15.3', () => {
+    delete process.env.TURBOPACK;
+    
+    jest.isolateModules(() => {
+      jest.doMock(require.resolve('next/package.json'), () => ({ version: '13.5.11' }));
+      const { withTurbopackRules: withRules } = require('../src/next/turbopack');
+      
+      expect(withRules({}, {}).experimental.turbo.rules).toHaveProperty(['*.jsx']);
+    });
+  });
+  
+  test('stays quiet with webpack', () => {
+    delete process.env.TURBOPACK;
+    
+    const config = withTurbopackRules({ turbopack: {} }, { optimizationLevel: 'basic' });
+    
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(config.turbopack.rules['*.tsx']).toEqual([
+      { loader: require.resolve('../src/next/loader'), options: { optimizationLevel: 'basic' } }
+    ]);
+  });
+});